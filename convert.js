@@ -4,14 +4,19 @@
  * keyword–delimiter–command pairs and converts them into a single TOML configuration
  * file with one section per text file.
  *
+ * With --dataset it instead scans the directory for kohya-style image folders
+ * (10_mychar, reg/1_person) and writes an sd-scripts dataset_config TOML.
+ *
  * Usage:
  *   node convert_to_toml.js /path/to/lora_data -o training_config.toml -d ":"
+ *   node convert_to_toml.js /path/to/dataset --dataset --resolution 1024
  */
 
-const fs = require('fs');
-const path = require('path');
-const { program } = require('commander');
-const TOML = require('@iarna/toml');
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { program } from 'commander';
+import TOML from '@iarna/toml';
 
 // Try to convert a string value to an int, float, or boolean if possible.
 function tryConvert(value) {
@@ -59,11 +64,120 @@ function parseFile(filepath, delimiter = ':') {
   return config;
 }
 
+// Folder names like "10_mychar" or "1_sks dog": repeats, then the class tokens.
+const KOHYA_FOLDER = /^(\d+)_(.+)$/;
+
+// Default settings for the generated dataset config.
+const DATASET_DEFAULTS = {
+  resolution: 1024,
+  batchSize: 1,
+  captionExtension: '.txt',
+  enableBucket: true,
+  minBucketReso: 256,
+  maxBucketReso: 2048,
+  bucketResoSteps: 64,
+  shuffleCaption: false,
+  keepTokens: 0,
+};
+
+// Find kohya-style subfolders in a directory. Subfolders of a "reg" directory are
+// regularization images.
+function scanKohyaSubsets(datasetDir) {
+  const subsets = [];
+  const scan = (dir, relativeDir, isReg) => {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+      if (!entry.isDirectory()) {
+        return;
+      }
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+      if (!isReg && entry.name.toLowerCase() === 'reg') {
+        scan(path.join(dir, entry.name), relativePath, true);
+        return;
+      }
+      const match = entry.name.match(KOHYA_FOLDER);
+      if (match) {
+        subsets.push({
+          relativePath,
+          numRepeats: parseInt(match[1], 10),
+          classTokens: match[2].trim(),
+          isReg,
+        });
+      }
+    });
+  };
+  scan(datasetDir, '', false);
+  return subsets;
+}
+
+// Build an sd-scripts dataset config object from the kohya-style subfolders in
+// datasetDir. imageRoot is where datasetDir will live when training (e.g. on the pod).
+function buildDatasetConfig(datasetDir, settings = {}) {
+  const options = { ...DATASET_DEFAULTS, ...settings };
+  const imageRoot = options.imageRoot || datasetDir;
+  const subsets = scanKohyaSubsets(datasetDir);
+  if (subsets.length === 0) {
+    throw new Error(`No kohya-style subfolders (e.g. 10_mychar, reg/1_person) found in ${datasetDir}`);
+  }
+
+  const dataset = {
+    resolution: options.resolution,
+    batch_size: options.batchSize,
+    enable_bucket: options.enableBucket,
+  };
+  if (options.enableBucket) {
+    dataset.min_bucket_reso = options.minBucketReso;
+    dataset.max_bucket_reso = options.maxBucketReso;
+    dataset.bucket_reso_steps = options.bucketResoSteps;
+  }
+  dataset.subsets = subsets.map((subset) => {
+    const entry = {
+      image_dir: path.posix.join(imageRoot, subset.relativePath),
+      num_repeats: subset.numRepeats,
+      class_tokens: subset.classTokens,
+    };
+    if (subset.isReg) {
+      entry.is_reg = true;
+    }
+    return entry;
+  });
+
+  return {
+    general: {
+      caption_extension: options.captionExtension,
+      shuffle_caption: options.shuffleCaption,
+      keep_tokens: options.keepTokens,
+    },
+    datasets: [dataset],
+  };
+}
+
+// Write the TOML string to the output file, exiting on failure.
+function writeToml(outputFile, tomlString) {
+  try {
+    fs.writeFileSync(outputFile, tomlString, 'utf-8');
+    console.log(`Successfully wrote TOML configuration to ${outputFile}`);
+  } catch (err) {
+    console.error(`Error writing to ${outputFile}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
 function main() {
   program
     .argument('<directory>', 'Directory containing the LoRA .txt files')
     .option('-o, --output <output>', 'Output TOML file', 'training_config.toml')
     .option('-d, --delimiter <delimiter>', 'Delimiter used in the .txt files', ':')
+    .option('--dataset', 'Generate an sd-scripts dataset_config TOML from kohya-style subfolders')
+    .option('--image-root <path>', 'Path the dataset directory will have when training (defaults to <directory>)')
+    .option('--resolution <number>', 'Training resolution', (value) => parseInt(value, 10), DATASET_DEFAULTS.resolution)
+    .option('--batch-size <number>', 'Batch size', (value) => parseInt(value, 10), DATASET_DEFAULTS.batchSize)
+    .option('--caption-extension <ext>', 'Caption file extension', DATASET_DEFAULTS.captionExtension)
+    .option('--no-enable-bucket', 'Disable aspect ratio bucketing')
+    .option('--min-bucket-reso <number>', 'Minimum bucket resolution', (value) => parseInt(value, 10), DATASET_DEFAULTS.minBucketReso)
+    .option('--max-bucket-reso <number>', 'Maximum bucket resolution', (value) => parseInt(value, 10), DATASET_DEFAULTS.maxBucketReso)
+    .option('--bucket-reso-steps <number>', 'Bucket resolution steps', (value) => parseInt(value, 10), DATASET_DEFAULTS.bucketResoSteps)
+    .option('--shuffle-caption', 'Shuffle comma-separated caption tags')
+    .option('--keep-tokens <number>', 'Number of leading caption tokens kept in place when shuffling', (value) => parseInt(value, 10), DATASET_DEFAULTS.keepTokens)
     .parse(process.argv);
 
   const options = program.opts();
@@ -77,6 +191,32 @@ function main() {
     process.exit(1);
   }
 
+  if (options.dataset) {
+    const datasetOutput = program.getOptionValueSource('output') === 'default'
+      ? path.join(loraDir, 'dataset_config.toml')
+      : outputFile;
+    let datasetConfig;
+    try {
+      datasetConfig = buildDatasetConfig(loraDir, {
+        imageRoot: options.imageRoot,
+        resolution: options.resolution,
+        batchSize: options.batchSize,
+        captionExtension: options.captionExtension,
+        enableBucket: options.enableBucket,
+        minBucketReso: options.minBucketReso,
+        maxBucketReso: options.maxBucketReso,
+        bucketResoSteps: options.bucketResoSteps,
+        shuffleCaption: Boolean(options.shuffleCaption),
+        keepTokens: options.keepTokens,
+      });
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+    writeToml(datasetOutput, TOML.stringify(datasetConfig));
+    return;
+  }
+
   // Read the directory and filter for .txt files.
   const files = fs.readdirSync(loraDir);
   const txtFiles = files.filter((file) => file.toLowerCase().endsWith('.txt'));
@@ -103,13 +243,11 @@ function main() {
   const tomlString = TOML.stringify(aggregatedConfig);
 
   // Write the TOML string to the output file.
-  try {
-    fs.writeFileSync(outputFile, tomlString, 'utf-8');
-    console.log(`Successfully wrote TOML configuration to ${outputFile}`);
-  } catch (err) {
-    console.error(`Error writing to ${outputFile}: ${err.message}`);
-    process.exit(1);
-  }
+  writeToml(outputFile, tomlString);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main();
 }
 
-main();
\ No newline at end of file
+export { tryConvert, parseFile, scanKohyaSubsets, buildDatasetConfig };
\ No newline at end of file
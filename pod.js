@@ -1,583 +1,298 @@
 import { program } from "commander";
-import { ApolloClient, InMemoryCache, HttpLink, gql } from "@apollo/client";
-import { Client } from "ssh2";
-import { Client as ScpClient } from "node-scp";
 import fs from "fs-extra";
+import readlineSync from "readline-sync";
+import { Trainer, loadConfig, loadJobs, sweepJobs, redactConfig, ConfigError, DEFAULT_CONFIG_FILES, LOG_LEVELS } from "./trainer.js";
 
 // ---------------------------------------------------------------------
-// Command-Line Arguments Setup Using Commander
+// Command-Line Interface
 // ---------------------------------------------------------------------
+// A thin layer over the Trainer in trainer.js: each subcommand loads the
+// configuration from the config file, the environment and the options, then
+// calls the trainer. The options below apply to every subcommand.
+function parseList(value) {
+  return value.split(",").map((item) => item.trim()).filter(Boolean);
+}
+
 program
   .name("runpod_lora_train")
   .description("Deploy a pod on RunPod and train a LoRA model.")
-  .argument("[action]", 'Action to perform, must be "run" to execute the training process')
-  .option("--config <file>", "Path to configuration JSON file")
+  .option("--config <file>", "Path to configuration file (JSON, YAML or TOML)")
+  .option("--profile <name>", "Named profile of the configuration file to apply")
+  .option("--journalPath <file>", "Path to the run journal used by resume")
   .option("--minMemoryRequired <number>", "Minimum GPU memory required in GB", parseInt)
-  .option("--minBidPriceLimit <number>", "Minimum bid price for spot instances", parseFloat)
-  .option("--maxBidPriceLimit <number>", "Maximum bid price for spot instances", parseFloat)
+  .option("--minBidPriceLimit <number>", "Minimum GPU price per hour (the bid price in spot mode)", parseFloat)
+  .option("--maxBidPriceLimit <number>", "Maximum GPU price per hour (the bid price in spot mode)", parseFloat)
+  .option("--cloudMode <mode>", 'Rent "ondemand" pods or interruptible "spot" pods')
+  .option("--bidStrategy <strategy>", 'Spot bid: "margin" (minimum bid + bidMargin), "max" (maxBidPriceLimit) or "fixed" (bidPrice)')
+  .option("--bidMargin <number>", "Amount added to the minimum bid with the margin strategy", parseFloat)
+  .option("--bidPrice <number>", "Bid per GPU with the fixed strategy", parseFloat)
+  .option("--maxPreemptionRetries <number>", "How many times to re-provision a preempted spot pod", parseInt)
+  .option("--gpuStrategy <strategy>", 'How to rank GPU types: "cheapest", "pricePerGb" or "fastest" (gpuAllowList order)')
+  .option("--gpuAllowList <ids>", "Comma-separated GPU type IDs to choose from", parseList)
+  .option("--gpuDenyList <ids>", "Comma-separated GPU type IDs never to use", parseList)
+  .option("--gpuCount <number>", "Number of GPUs per pod", parseInt)
+  .option("--secureCloud", "Deploy on Secure Cloud instead of Community Cloud")
+  .option("--networkVolumeId <id>", "Attach an existing RunPod network volume")
+  .option("--networkVolumeName <name>", "Attach the network volume with this name, creating it if needed")
+  .option("--parallelPods <number>", "Number of pods the queue runs jobs on in parallel", parseInt)
+  .option("--sshKeyMode <mode>", 'SSH authentication: "file" (sshPrivateKeyPath), "agent" (ssh-agent) or "ephemeral" (a new key per run)')
+  .option("--sshPrivateKeyPath <file>", "Private key used with sshKeyMode \"file\"")
+  .option("--provider <name>", 'Where to train: "runpod" (rent a pod) or "ssh-host" (an existing machine, see sshHost)')
   .option("--runpodApiKey <string>", "RunPod API key")
   .option("--instanceImage <string>", "Instance image to use")
-  .option("--modelPath <string>", "Hugging Face model path")
+  .option("--modelPath <string>", "Base model: Hugging Face repo ID or file, civitai:<versionId>, URL or s3:// URL")
+  .option("--modelSha256 <hash>", "Expected SHA256 of the base model file")
+  .option("--hfToken <string>", "Hugging Face access token")
+  .option("--civitaiToken <string>", "Civitai API token")
+  .option("--recipe <name>", "Training recipe, e.g. sd15-lora, sdxl-lora, flux-lora, sd3-lora, sdxl-locon")
   .option("--localDatasetPath <string>", "Local dataset directory")
   .option("--localOutputDir <string>", "Local output directory")
-  .option("--debug", "Enable debug mode to log API, SSH, and SCP commands")
-  .parse(process.argv);
-
-const options = program.opts();
-const action = program.args[0];
-
-// ---------------------------------------------------------------------
-// Default Configuration Values
-// ---------------------------------------------------------------------
-const defaultConfig = {
-  volumeMountPath: "/workspace",
-  remoteDatasetPath: "/workspace/dataset",
-  trainOutputDir: "/workspace/lora_output",
-  remoteModelsPath: "/workspace/models",
-  runpodApiKey: "your-runpod-api-key", // Replace with your key or override via CLI/config.
-  instanceImage: "runpod/pytorch:2.0.1-py3.10-cuda11.8.0-devel-ubuntu22.04",
-  modelPath: "runwayml/stable-diffusion-v1-5",
-  localDatasetPath: "./dataset",
-  localOutputDir: "./output",
-  minMemoryRequired: 15,      // in GB
-  minBidPriceLimit: 0.1,       // Example: $0.10
-  maxBidPriceLimit: 0.2,       // Example: $0.20
-  debug: false
-};
+  .option("--teardownMode <mode>", 'What to do with the pod when the run ends or fails: "stop" or "terminate"')
+  .option("--podName <string>", "Name given to deployed pods, used by cleanup to find them")
+  .option("--strictValidation", "Treat dataset warnings as errors")
+  .option("--maxSpendUsd <number>", "Stop the run once it has cost this much", parseFloat)
+  .option("--maxRuntimeMinutes <number>", "Stop the run once its pods have been up this long", parseFloat)
+  .option("--idleGpuMinutes <number>", "Stop the run when the GPU sits idle this long during training", parseFloat)
+  .option("--retryBackoffSeconds <number>", "Delay before the first retry of a failed stage, doubled on each retry", parseFloat)
+  .option("--notify-test", "Send a test notification to every configured webhook and exit")
+  .option("--log-level <level>", `Most detailed log level shown: ${LOG_LEVELS.join(", ")}`)
+  .option("--log-format <format>", 'Log as "text" or "json" (one JSON object per line)')
+  .option("--debug", "Log API, SSH and SCP commands, same as --log-level debug");
 
-// ---------------------------------------------------------------------
-// Load configuration from external JSON file if specified and merge with defaults
-// ---------------------------------------------------------------------
-let fileConfig = null;
-if (options.config) {
-  try {
-    fileConfig = JSON.parse(fs.readFileSync(options.config, "utf8"));
-    console.log(`Loaded configuration from ${options.config}`);
-  } catch (error) {
-    console.error("Failed to load configuration file:", error);
-    process.exit(1);
-  }
-} else {
-  try {
-    fileConfig = fs.readFileSync('config.json', "utf8");
-  } catch (error) {
-    console.log(`No configuration filed found.`);
-  }
-  if (fileConfig) {
-    try {
-      fileConfig = JSON.parse(fileConfig);
-      console.log(`Loaded configuration from config.json`);
-    } catch (error) {
-      console.error("Failed to parse config file:", error);
-      process.exit(1);
-    }
-  }
-}
-const config = { ...defaultConfig, ...(fileConfig || {}), ...options };
-
-// ---------------------------------------------------------------------
-// If "run" is not passed as the first argument, print config and exit.
-// ---------------------------------------------------------------------
-if (!action || action !== "run") {
-  console.log("Current configuration options:");
-  console.log(JSON.stringify(config, null, 2));
-  console.log("\nTo run the script, pass 'run' as the first argument. For example:");
-  console.log("  node runpod_lora_train.js run --config config.json");
-  process.exit(0);
-}
-
-// ---------------------------------------------------------------------
-// Helper function: debugGraphQLRequest
-// ---------------------------------------------------------------------
-async function debugGraphQLRequest(client, query, variables, config) {
-  if (config.debug) {
-    console.log("----- GraphQL Request -----");
-    console.log("Query:", query);
-    console.log("Variables:", variables);
-  }
-  try {
-    const response = await client.query({ query, variables, fetchPolicy: "no-cache" });    
-    if (config.debug) {
-      console.log("----- GraphQL Response -----");
-      console.log(JSON.stringify(response, null, 2));
-    }
-    return response;
-  } catch (error) {
-    if (config.debug) {
-      console.error("----- GraphQL Error -----");
-      console.error(JSON.stringify(error, null, 2));
-    }
-    throw error;
+/**
+ * printMessage(format, level, message)
+ *
+ * Prints a message of the CLI itself, as a JSON line with the "json" log format.
+ */
+function printMessage(format, level, message) {
+  if (format === "json") {
+    console.log(JSON.stringify({ type: "log", time: new Date().toISOString(), level, message }));
+  } else {
+    (level === "error" ? console.error : console.log)(message);
   }
 }
 
-// ---------------------------------------------------------------------
-// FUNCTION DEFINITIONS (All functions receive parameters)
-// ---------------------------------------------------------------------
-
 /**
- * chooseGpuType(minMemory, minBidPriceLimit, maxBidPriceLimit, graphqlClient, config)
+ * printJsonEvents(trainer)
  *
- * Queries available GPU types and returns the chosen GPU type object that meets:
- *   - At least minMemory (in GB)
- *   - Has available capacity (totalCount > rentedCount)
- *   - Has a spot-instance bid price within the given range.
- * Exits if no GPU meets the criteria.
+ * Prints the trainer's log, stage and progress events as JSON lines, for the
+ * "json" log format. Progress is printed at most every 10 seconds per stage.
  */
-async function chooseGpuType(minMemory, minBidPriceLimit, maxBidPriceLimit, graphqlClient, config) {
-  const GPU_TYPES_QUERY = gql`
-    query GpuTypes($input: GpuLowestPriceInput) {
-      gpuTypes {
-        id
-        displayName
-        memoryInGb
-        lowestPrice(input: $input) {
-          minimumBidPrice
-          totalCount
-          rentedCount
-          uninterruptablePrice
-        }
-      }
-    }
-  `;
-  try {
-    const { data } = await debugGraphQLRequest(graphqlClient, GPU_TYPES_QUERY, {
-      input: {
-        gpuCount: 1,
-        supportPublicIp: true,
-        secureCloud: false,
-      }
-    }, config);
-    const availableTypes = data.gpuTypes;
-    const filtered = availableTypes.filter((gpu) => {
-      const price = gpu.lowestPrice && gpu.lowestPrice.uninterruptablePrice;
-      return (
-        gpu.memoryInGb >= minMemory &&
-        gpu.lowestPrice &&
-        gpu.lowestPrice.uninterruptablePrice &&
-        gpu.lowestPrice.totalCount > gpu.lowestPrice.rentedCount &&
-        price >= minBidPriceLimit &&
-        price <= maxBidPriceLimit
-      );
-    });
-    if (filtered.length === 0) {
-      console.error(
-        `❌ No GPU type found with at least ${minMemory}GB memory and spot bid price between ${minBidPriceLimit} and ${maxBidPriceLimit}.`
-      );
-      process.exit(1);
+function printJsonEvents(trainer) {
+  const print = (type, event) => console.log(JSON.stringify({ type, time: new Date().toISOString(), ...event }));
+  const lastProgress = new Map();
+  trainer.on("log", (entry) => print("log", entry));
+  trainer.on("stage", ({ error, ...event }) => print("stage", error ? { ...event, error: error.message } : event));
+  trainer.on("progress", (progress) => {
+    const key = `${progress.job}:${progress.stage}`;
+    const finished = progress.totalBytes ? progress.bytes >= progress.totalBytes : progress.step === progress.totalSteps;
+    if (!finished && Date.now() - (lastProgress.get(key) || 0) < 10000) {
+      return;
     }
-    filtered.sort((a, b) => {
-      const priceDiff = a.lowestPrice.uninterruptablePrice - b.lowestPrice.uninterruptablePrice;
-      return priceDiff !== 0 ? priceDiff : a.memoryInGb - b.memoryInGb;
-    });
-    const chosen = filtered[0];
-    console.log(`✅ Selected GPU type: ${chosen.displayName} (${chosen.memoryInGb}GB)`);
-    console.log(
-      `   Spot Price: ${chosen.lowestPrice.minimumBidPrice} | Availability: ${chosen.lowestPrice.rentedCount}/${chosen.lowestPrice.totalCount}`
-    );
-    return chosen;
-  } catch (error) {
-    console.error("❌ Error querying GPU types:", error);
-    process.exit(1);
-  }
+    lastProgress.set(key, Date.now());
+    print("progress", progress);
+  });
 }
 
 /**
- * startRunPodInstance(graphqlClient, config, gpuTypeId)
+ * installTeardownHandlers(trainer, config)
  *
- * Deploys a new pod using a GraphQL mutation. Returns the pod ID.
+ * Stops the trainer's run, tearing its pods down, before exiting on signals
+ * and unhandled errors. A second Ctrl-C during teardown exits immediately.
  */
-async function startRunPodInstance(graphqlClient, config, gpuType) {
-  const POD_FIND_AND_DEPLOY_MUTATION = gql`
-    mutation OnDemand($input: PodFindAndDeployOnDemandInput!) {
-      podFindAndDeployOnDemand(input: $input) {
-        id
-        imageName
-        env
-        machineId
-        machine {
-          podHostId
-        }
+function installTeardownHandlers(trainer, config) {
+  let failing = false;
+  const fail = async (reason, error) => {
+    // Further signals or errors while failing would cut the teardown short.
+    if (failing) {
+      return;
+    }
+    failing = true;
+    if (error) {
+      printMessage(config.logFormat, "error", `❌ ${reason}: ${error.message}`);
+      if (["debug", "trace"].includes(config.logLevel)) {
+        printMessage(config.logFormat, "debug", error.stack);
       }
     }
-  `;
-  const variables = {
-    input: {
-      cloudType: "COMMUNITY",
-      gpuCount: 1,
-      volumeInGb: 0,
-      volumeKey: null,
-      containerDiskInGb: 40,
-      minVcpuCount: 2,
-      minMemoryInGb: 15,
-      gpuTypeId: gpuType.id,
-      name: "SD-Scripts",
-      imageName: config.instanceImage,
-      ports: "22/tcp",
-      startSsh: true,
-      volumeMountPath: config.volumeMountPath,
-    },
-  };
-  try {
-    const { data } = await debugGraphQLRequest(graphqlClient, POD_FIND_AND_DEPLOY_MUTATION, variables, config);
-    const podId = data.podFindAndDeployOnDemand.id;
-    console.log(`🎉 RunPod instance started! ID: ${podId}`);
-    return podId;
-  } catch (error) {
-    console.error("❌ Error starting RunPod instance:", error);
+    await trainer.stop(reason);
     process.exit(1);
-  }
+  };
+  process.once("SIGINT", () => fail("Interrupted"));
+  process.once("SIGTERM", () => fail("Terminated"));
+  process.on("unhandledRejection", (error) => fail("Unhandled rejection", error));
+  process.on("uncaughtException", (error) => fail("Uncaught exception", error));
+  return fail;
 }
 
 /**
- * startRentPodInstance(graphqlClient, config, gpuTypeId)
+ * cliConfig(options)
  *
- * Deploys a new pod using a GraphQL mutation. Returns the pod ID.
+ * Loads the configuration from --config (or the first of DEFAULT_CONFIG_FILES
+ * found), --profile, the environment and the options. Exits on a ConfigError.
  */
-async function startRentPodInstance(graphqlClient, config, gpuType) {
-  // console.log(gpuType)
-  const POD_FIND_AND_DEPLOY_MUTATION = gql`
-    mutation BidPod($input: PodRentInterruptableInput!) {
-      podRentInterruptable(input: $input) {
-        id
-        imageName
-        env
-        machineId
-        machine {
-          podHostId
-        }
-      }
-    }
-  `;
-  const variables = {
-    input: {
-      cloudType: "ALL",
-      gpuCount: 1,
-      volumeInGb: 0,
-      volumeKey: null,
-      containerDiskInGb: 40,
-      minVcpuCount: 2,
-      minMemoryInGb: 15,
-      gpuTypeId: gpuType.id,
-      name: "RunPod Tensorflow",
-      imageName: config.instanceImage,
-      ports: "22/tcp",
-      startSsh: true,
-      volumeMountPath: config.volumeMountPath,
-      bidPerGpu: gpuType.lowestPrice.minimumBidPrice + 0.05,
-    },
-  };
+function cliConfig(options) {
+  const configPath = options.config || DEFAULT_CONFIG_FILES.find((file) => fs.existsSync(file));
   try {
-    const { data } = await debugGraphQLRequest(graphqlClient, POD_FIND_AND_DEPLOY_MUTATION, variables, config);
-    const podId = data.podFindAndDeployOnDemand.id;
-    console.log(`🎉 RunPod instance started! ID: ${podId}`);
-    return podId;
+    const config = loadConfig({ configPath, profile: options.profile, overrides: options });
+    printMessage(config.logFormat, "info", configPath ? `Loaded configuration from ${configPath}${options.profile ? ` with profile ${options.profile}` : ""}` : "No configuration file found.");
+    return config;
   } catch (error) {
-    console.error("❌ Error starting RunPod instance:", error);
+    if (!(error instanceof ConfigError)) {
+      throw error;
+    }
+    error.errors.forEach((message) => printMessage(options.logFormat, "error", message));
     process.exit(1);
   }
 }
 
-
 /**
- * waitForPodReady(graphqlClient, podId, config)
+ * action(handler)
  *
- * Polls the pod status until it is ready and returns the pod IP.
+ * Returns a subcommand action that creates a trainer from the configuration
+ * and exits with the code handler(trainer, config, ...args) resolves to (0 by default).
+ * With --notify-test it only tests the webhooks.
  */
-async function waitForPodReady(graphqlClient, podId, config) {
-  console.log("⏳ Waiting for instance to be ready...");
-  const POD_QUERY = gql`
-    query Pod($podId: String!) {
-      pod(input: { podId: $podId }) {
-        id
-        name
-        runtime {
-          uptimeInSeconds
-          ports {
-            ip
-            isIpPublic
-            privatePort
-            publicPort
-          }
-        }
-      }
+function action(handler) {
+  return async (...args) => {
+    const command = args[args.length - 1];
+    const config = cliConfig(command.optsWithGlobals());
+    const trainer = new Trainer(config);
+    if (config.logFormat === "json") {
+      printJsonEvents(trainer);
     }
-  `;
-  while (true) {
+    const fail = installTeardownHandlers(trainer, config);
     try {
-      const variables = { podId };
-      const { data } = await debugGraphQLRequest(graphqlClient, POD_QUERY, variables, config);
-      if (data.pod && data.pod.runtime && data.pod.runtime.ports && data.pod.runtime.ports.length > 0) {
-        const instance =
-          data.pod.runtime.ports.find((p) => p.isIpPublic) || data.pod.runtime.ports[0];
-        console.log(`✅ RunPod instance is ready! IP: ${instance.ip} Port: ${instance.publicPort}`);
-        return instance;
+      if (config.notifyTest) {
+        process.exit((await trainer.notifyTest()) ? 0 : 1);
       }
+      const code = await handler(trainer, config, ...args.slice(0, -2));
+      process.exit(code || 0);
     } catch (error) {
-      console.error("Error checking pod status:", error);
-    }
-    await new Promise((resolve) => setTimeout(resolve, 10000));
-  }
-}
-
-/**
- * stopRunPodInstance(graphqlClient, podId, config)
- *
- * Stops the pod using a GraphQL mutation.
- */
-async function stopRunPodInstance(graphqlClient, podId, config) {
-  const POD_STOP_MUTATION = gql`
-    mutation PodStop($input: PodStopInput!) {
-      podStop(input: $input) {
-        id
-        desiredStatus
-      }
+      await fail("Run failed", error);
     }
-  `;
-  const variables = { input: { podId } };
-  try {
-    const { data } = await debugGraphQLRequest(graphqlClient, POD_STOP_MUTATION, variables, config);
-    if (data.podStop && data.podStop.desiredStatus) {
-      console.log(`🛑 RunPod instance ${podId} stopped!`);
-    } else {
-      console.error("❌ Failed to stop RunPod instance.");
-    }
-  } catch (error) {
-    console.error("❌ Error stopping RunPod instance:", error);
-  }
-}
-
-/**
- * connectSSH(podIp, username)
- *
- * Establishes and returns an SSH connection to the given pod IP.
- */
-async function connectSSH(instance, username) {
-  return new Promise((resolve, reject) => {
-    const ssh = new Client();
-    ssh
-      .on("ready", () => {
-        console.log("🔗 SSH connection established.");
-        resolve(ssh);
-      })
-      .on("error", (err) => {
-        console.error("❌ SSH connection failed:", err);
-        reject(err);
-      })
-      .connect({
-        host: instance.ip,
-        port: instance.publicPort,
-        username,
-        privateKey: fs.readFileSync('/Users/josh/.ssh/id_rsa', 'utf8'),
-      });
-  });
-}
-
-/**
- * uploadDataset(localDatasetPath, instance, username, remoteDatasetPath, config)
- *
- * Uploads the local dataset directory to the pod.
- */
-async function uploadDataset(localDatasetPath, instance, username, remoteDatasetPath, config) {
-  console.log("📤 Uploading dataset...");
-  if (config.debug) {
-    console.log(`DEBUG: Executing SCP upload: ${localDatasetPath} -> ${username}@${instance.ip}:${remoteDatasetPath}`);
-  }
-  try {
-    const client = await new ScpClient({
-      host: instance.ip,
-      port: instance.publicPort,
-      username,
-      privateKey: fs.readFileSync('/Users/josh/.ssh/id_rsa', 'utf8'),
-    });
-    await client.uploadDir(localDatasetPath, remoteDatasetPath);
-    console.log("✅ Dataset uploaded!");
-  } catch (error) {
-    console.error("❌ Dataset upload failed:", error);
-    process.exit(1);
-  }
-}
-
-/**
- * executeCommand(ssh, command, config)
- *
- * Executes a command over the given SSH connection.
- * In debug mode, logs the command before executing it.
- */
-async function executeCommand(ssh, command, config) {
-  if (config.debug) {
-    console.log("DEBUG: Executing SSH command:", command);
-  }
-  return new Promise((resolve, reject) => {
-    ssh.exec(command, (err, stream) => {
-      if (err) {
-        console.error("❌ SSH command failed:", err);
-        return reject(err);
-      }
-      stream
-        .on("close", () => {
-          if (config.debug) {
-            console.log("DEBUG: SSH command completed.");
-          }
-          resolve();
-        })
-        .on("data", (data) => {
-          console.log(data.toString());
-        })
-        .stderr.on("data", (data) => {
-          console.error(data.toString());
-        });
-    });
-  });
-}
-
-/**
- * cloneSdScripts(ssh, config)
- *
- * Clones the sd-scripts repository into the home directory.
- */
-async function cloneSdScripts(ssh, config) {
-  console.log("📥 Cloning sd-scripts repository...");
-  const command = `git clone https://github.com/kohya-ss/sd-scripts.git ${config.volumeMountPath}/sd-scripts`;
-  await executeCommand(ssh, command, config);
-}
-
-/**
- * installPythonRequirements(ssh, config)
- *
- * Installs the Python requirements for the sd-scripts repository.
- */
-async function installPythonRequirements(ssh, config) {
-  console.log("📦 Installing Python requirements...");
-  const command = `cd ${config.volumeMountPath}/sd-scripts &&
-    pip install torch==2.1.2 torchvision==0.16.2 --index-url https://download.pytorch.org/whl/cu118 &&
-    pip install --upgrade -r requirements.txt && 
-    pip install xformers==0.0.23.post1 --index-url https://download.pytorch.org/whl/cu118
-`;
-
-// pip install torch==2.1.0 torchvision==0.16.0 --index-url https://download.pytorch.org/whl/cu121 &&
-// pip install --upgrade -r requirements.txt && 
-// pip install xformers==0.0.22.post4 --index-url https://download.pytorch.org/whl/cu121
-  await executeCommand(ssh, command, config);
-}
-
-/**
- * launchTraining(ssh, remoteDatasetPath, trainOutputDir, remoteModelsPath, config)
- *
- * Launches the LoRA training process using the sd-scripts repository.
- */
-async function launchTraining(ssh, remoteDatasetPath, trainOutputDir, remoteModelsPath, config) {
-  console.log("🚀 Launching LoRA training...");
-  const trainingCommand = `
-    cd ${config.volumeMountPath}/sd-scripts && 
-    accelerate launch sdxl_train_network.py --config_file=../dataset/config.toml
-  `;
-  await executeCommand(ssh, trainingCommand, config);
+  };
 }
 
-/**
- * downloadModel(ssh, remoteModelsPath, modelPath, config)
- *
- * Downloads the base model from Hugging Face into the remote models directory.
- */
-async function downloadModel(ssh, config) {
-  console.log("📥 Downloading model from Hugging Face...");
-  const command = `
-    mkdir -p ${config.trainOutputDir} &&
-    mkdir -p ${config.remoteModelsPath} &&
-    cd ${config.remoteModelsPath} &&
-    wget -q ${config.modelPath}
-  `;
-  await executeCommand(ssh, command, config);
-}
+// The stages a single stage command can run, in pipeline order.
+const STAGES = [
+  "deploy",
+  "uploadDataset",
+  "downloadModel",
+  "cloneSdScripts",
+  "installPythonRequirements",
+  "launchTraining",
+  "downloadOutput",
+  "processOutput",
+  "publishOutput",
+  "stopPod",
+];
 
-/**
- * downloadOutput(instance, username, trainOutputDir, localOutputDir, config)
- *
- * Downloads the training output from the pod to a local directory.
- */
-async function downloadOutput(instance, username, trainOutputDir, localOutputDir, config) {
-  console.log("📥 Downloading output...");
-  if (config.debug) {
-    console.log(`DEBUG: Executing SCP download: ${username}@${instance.ip}:${trainOutputDir} -> ${localOutputDir}`);
-  }
-  try {
-    const client = await new ScpClient({
-      host: instance.ip,
-      port: instance.publicPort,
-      username,
-      privateKey: fs.readFileSync('/Users/josh/.ssh/id_rsa', 'utf8'),
-    });
-    await client.downloadDir(trainOutputDir, localOutputDir);
-    console.log("✅ Output downloaded!");
-  } catch (error) {
-    console.error("❌ Output download failed:", error);
-    process.exit(1);
-  }
-}
+program
+  .command("config", { isDefault: true })
+  .description("Print the configuration (the default without a command)")
+  .action(action(async (trainer, config) => {
+    if (config.logFormat === "json") {
+      console.log(JSON.stringify({ type: "config", config: redactConfig(config) }));
+      return;
+    }
+    console.log("Current configuration options:");
+    console.log(JSON.stringify(redactConfig(config), null, 2));
+    console.log(`\nRun "${program.name()} help" for the commands, e.g. "${program.name()} run --config config.json".`);
+  }));
 
-// ---------------------------------------------------------------------
-// MAIN SCRIPT FLOW
-// ---------------------------------------------------------------------
-async function main(config) {
-  // Create a GraphQL client using the provided API key.
-  const graphqlClient = new ApolloClient({
-    link: new HttpLink({
-      uri: "https://api.runpod.io/graphql",
-      fetch: fetch,
-      useGETForQueries: false,
-      headers: {
-        Authorization: `Bearer ${config.runpodApiKey}`,
-        "Content-Type": "application/json"
-      },
-    }),
-    cache: new InMemoryCache(),
-  });
+program
+  .command("run")
+  .description("Deploy a pod and train a LoRA on it")
+  .option("--dry-run", "Show the plan instead of running")
+  .action(action(async (trainer, config) => {
+    await (config.dryRun ? trainer.plan() : trainer.run());
+  }));
 
-  // 0. Choose a GPU type that meets the criteria.
-  const chosenGpu = await chooseGpuType(
-    config.minMemoryRequired,
-    config.minBidPriceLimit,
-    config.maxBidPriceLimit,
-    graphqlClient,
-    config
-  );
-  
-  // 1. Deploy a new pod.
-  const podId = await startRunPodInstance(graphqlClient, config, chosenGpu);
-  // const podId = "c49ssi55fz1lwj";
+program
+  .command("resume")
+  .description("Continue the run recorded in the journal after an interruption")
+  .option("--dry-run", "Show the plan instead of running")
+  .action(action(async (trainer, config) => {
+    await (config.dryRun ? trainer.plan() : trainer.resume());
+  }));
 
-  // 2. Wait until the pod is ready and get its IP.
-  const instance = await waitForPodReady(graphqlClient, podId, config);
+program
+  .command("attach")
+  .description("Follow a training running on a pod (the journal's pod by default) and download its results")
+  .option("--podId <id>", "Pod to attach to")
+  .action(action((trainer) => trainer.attach()));
 
-  // 3. Establish an SSH connection (using username "root").
-  const sshConnection = await connectSSH(instance, "root");
+program
+  .command("stage")
+  .description("Run a single stage of the journal's run (deploy starts a new run)")
+  .argument("<name>", `Stage to run: ${STAGES.join(", ")}`)
+  .action(action(async (trainer, config, name) => {
+    if (!STAGES.includes(name)) {
+      throw new Error(`Unknown stage "${name}", expected one of: ${STAGES.join(", ")}.`);
+    }
+    await trainer[name]();
+  }));
 
-  // 4. Upload the dataset.
-  await uploadDataset(config.localDatasetPath, instance, "root", config.remoteDatasetPath, config);
+program
+  .command("logs")
+  .description("Print the training log of a pod, following it while it trains")
+  .option("--podId <id>", "Pod to show (default: the journal's pod)")
+  .action(action((trainer) => trainer.logs()));
 
-  // 5. Download the base model from Hugging Face.
-  await downloadModel(sshConnection, config);
+program
+  .command("status")
+  .description("Show the state of a pod and its training")
+  .option("--podId <id>", "Pod to show (default: the journal's pod)")
+  .action(action((trainer) => trainer.status()));
 
-  // 6. Clone the sd-scripts repository.
-  await cloneSdScripts(sshConnection, config);
+program
+  .command("validate")
+  .description("Check the dataset without renting a GPU")
+  .action(action(async (trainer) => ((await trainer.validate()).ok ? 0 : 1)));
 
-  // 7. Install Python requirements.
-  await installPythonRequirements(sshConnection, config);
+program
+  .command("plan")
+  .description("Show the machine, remote commands and estimated cost of a run without deploying anything")
+  .action(action((trainer) => trainer.plan()));
 
-  // 8. Launch the LoRA training.
-  await launchTraining(sshConnection, config.remoteDatasetPath, config.trainOutputDir, config.remoteModelsPath, config);
+program
+  .command("gpus")
+  .description("List the GPUs a run would choose from, best first")
+  .action(action((trainer) => trainer.gpus()));
 
-  // 9. Download the training output.
-  await downloadOutput(instance, "root", config.trainOutputDir, config.localOutputDir, config);
+program
+  .command("cleanup")
+  .description("Remove pods left behind by earlier runs")
+  .option("--yes", "Do not ask for confirmation")
+  .action(action(async (trainer) => {
+    await trainer.cleanup(async () => readlineSync.keyInYNStrict("Terminate these pods?"));
+  }));
 
-  // 10. Stop the pod.
-  await stopRunPodInstance(graphqlClient, podId, config);
+program
+  .command("queue")
+  .description("Run every job of a jobs file, reusing pods between jobs")
+  .option("--jobsFile <file>", "Jobs file to run")
+  .option("--dry-run", "Show the plan of each job instead of running them")
+  .action(action(async (trainer, config) => {
+    if (config.dryRun) {
+      await trainer.within(() => trainer.plan(loadJobs(config)));
+      return 0;
+    }
+    const results = await trainer.queue();
+    return results.some((result) => result.status === "failed") ? 1 : 0;
+  }));
 
-  // Close the SSH connection.
-  sshConnection.end();
-  console.log("✅ Process complete!");
-  process.exit(0);
-}
+program
+  .command("sweep")
+  .description("Train every combination of the sweep parameters and compare them")
+  .option("--dry-run", "Show the plan of each combination instead of running them")
+  .action(action(async (trainer, config) => {
+    if (config.dryRun) {
+      await trainer.within(() => trainer.plan(sweepJobs(config)));
+      return 0;
+    }
+    const results = await trainer.sweep();
+    return results.some((result) => result.status === "failed") ? 1 : 0;
+  }));
 
-main(config);
+program.parseAsync(process.argv);
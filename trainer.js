@@ -0,0 +1,5982 @@
+import apollo from "@apollo/client";
+import ssh2 from "ssh2";
+import { Client as ScpClient } from "node-scp";
+import fs from "fs-extra";
+import path from "path";
+import os from "os";
+import crypto from "crypto";
+import zlib from "zlib";
+import { Readable, Transform, pipeline } from "stream";
+import { StringDecoder } from "string_decoder";
+import { EventEmitter } from "events";
+import { AsyncLocalStorage } from "async_hooks";
+import util from "util";
+import TOML from "@iarna/toml";
+import YAML from "yaml";
+import { imageSize } from "image-size";
+import { create as createTar } from "tar";
+import { buildDatasetConfig } from "./convert.js";
+
+// @apollo/client 3 and ssh2's utils are only visible to require(), so these
+// are taken from the CommonJS module objects.
+const { ApolloClient, InMemoryCache, HttpLink, gql } = apollo;
+const { Client, utils: sshUtils } = ssh2;
+
+// ---------------------------------------------------------------------
+// Default Configuration Values
+// ---------------------------------------------------------------------
+const defaultConfig = {
+  // "runpod" rents a pod for each run; "ssh-host" trains on the existing
+  // machine given in sshHost, which is neither started nor stopped.
+  provider: "runpod",
+  sshHost: {
+    host: null,
+    port: 22,
+    username: "root",
+    pricePerHour: 0,           // Counted towards maxSpendUsd and shown in reports
+  },
+  volumeMountPath: "/workspace",
+  remoteDatasetPath: "/workspace/dataset",
+  trainOutputDir: "/workspace/lora_output",
+  remoteModelsPath: "/workspace/models",
+  runpodApiKey: null,          // Or set RUNPOD_API_KEY
+  instanceImage: "runpod/pytorch:2.0.1-py3.10-cuda11.8.0-devel-ubuntu22.04",
+  modelPath: "runwayml/stable-diffusion-v1-5",
+  modelSha256: null,
+  hfToken: null,               // Or set HF_TOKEN
+  civitaiToken: null,          // Or set CIVITAI_TOKEN
+  // Credentials and endpoint for s3:// model URLs. Without credentials the object must be public.
+  s3: {
+    endpoint: null,            // e.g. "https://s3.us-west-2.amazonaws.com" or a MinIO URL
+    region: "us-east-1",
+    accessKeyId: null,         // Or set AWS_ACCESS_KEY_ID
+    secretAccessKey: null,     // Or set AWS_SECRET_ACCESS_KEY
+  },
+  recipe: "sd15-lora",
+  // Hyperparameters used to generate the sd-scripts training config. Missing
+  // values fall back to these defaults, then to the recipe's own defaults.
+  training: {
+    outputName: "lora",
+    networkDim: 32,
+    networkAlpha: 16,
+    learningRate: 1e-4,
+    unetLr: null,
+    textEncoderLr: null,
+    epochs: 10,
+    batchSize: 1,
+    resolution: null,          // e.g. 1024, defaults to the recipe's native resolution
+    optimizer: "AdamW8bit",
+    lrScheduler: "cosine",
+    mixedPrecision: "bf16",
+    // Extra text encoder/VAE files for Flux and SD3 recipes. Same sources as modelPath,
+    // either a string or { "path": ..., "sha256": ... }.
+    clipL: null,
+    clipG: null,
+    t5xxl: null,
+    ae: null,
+    extraArgs: {},             // Any other sd-scripts options, written as-is into the TOML
+    // Sample images generated during training. Each prompt is a string or
+    // { "prompt", "negativePrompt", "seed", "cfgScale", "steps", "width", "height" };
+    // width and height default to the training resolution.
+    samplePrompts: [],
+    sampleEveryNEpochs: 1,
+    sampleSampler: "euler_a",
+  },
+  localDatasetPath: "./dataset",
+  datasetConfigFile: "dataset_config.toml", // Inside localDatasetPath, else generated from kohya-style folders
+  localOutputDir: "./output",
+  journalPath: "./runpod_journal.json",
+  minImageSide: 256,           // Images with a shorter side are reported as too small
+  maxAspectRatio: 4,           // Images more elongated than this are reported
+  strictValidation: false,     // Refuse to deploy on dataset warnings too
+  minMemoryRequired: 15,      // in GB
+  minBidPriceLimit: 0.1,       // Example: $0.10
+  maxBidPriceLimit: 0.2,       // Example: $0.20
+  gpuStrategy: "cheapest",     // "cheapest", "pricePerGb" or "fastest"
+  gpuAllowList: [],            // GPU type IDs, e.g. ["NVIDIA GeForce RTX 4090"]
+  gpuDenyList: [],
+  gpuCount: 1,
+  secureCloud: false,
+  // A network volume keeps models, the sd-scripts checkout and the Python venv
+  // between runs. Set networkVolumeId, or networkVolumeName to look one up by
+  // name and create it (with networkVolumeSizeGb in dataCenterId) if missing.
+  networkVolumeId: null,
+  networkVolumeName: null,
+  networkVolumeSizeGb: 100,
+  dataCenterId: null,
+  cloudMode: "ondemand",       // "ondemand" or "spot"
+  bidStrategy: "margin",       // "margin", "max" or "fixed"
+  bidMargin: 0.02,
+  bidPrice: null,
+  maxPreemptionRetries: 3,
+  saveEveryNEpochs: 1,         // How often sd-scripts saves checkpoints (and resumable state in spot mode)
+  stateSyncIntervalSeconds: 300,
+  artifactSyncIntervalSeconds: 60, // How often new checkpoints and sample images are downloaded during training
+  // How often each stage is retried after a failure, and how long its remote
+  // commands may run (in minutes, null for no limit).
+  stageRetries: {
+    uploadDataset: 2,
+    downloadModel: 3,
+    cloneSdScripts: 2,
+    installPythonRequirements: 2,
+    launchTraining: 0,
+    downloadOutput: 2,
+    processOutput: 1,
+    publishOutput: 2,
+  },
+  stageTimeoutsMinutes: {
+    downloadModel: 120,
+    cloneSdScripts: 10,
+    installPythonRequirements: 60,
+    launchTraining: null,
+    processOutput: 30,
+    publishOutput: 60,
+  },
+  retryBackoffSeconds: 10,
+  // Guardrails. When a limit is hit the training is stopped, the output so far
+  // is downloaded and the pod is torn down. null disables a limit.
+  maxSpendUsd: null,
+  maxRuntimeMinutes: null,
+  budgetWarningThresholds: [0.5, 0.8, 0.95], // Warn when these fractions of a limit are used
+  idleGpuMinutes: 20,            // GPU utilization at or below idleGpuUtilizationPercent for this long during training
+  idleGpuUtilizationPercent: 5,
+  podReadyTimeoutMinutes: 15,    // Give up on a pod that doesn't become ready
+  // How often to reconnect to a pod whose SSH connection dropped while following training.
+  reconnectAttempts: 10,
+  // Queue: a JSON file with a list of jobs (or { "jobs": [...] }), each a
+  // partial config merged over this one, run on parallelPods pods.
+  jobsFile: null,
+  parallelPods: 1,
+  // Sweep: training parameters to try, each a list of values or a numeric
+  // grid { "from", "to", "steps", "scale": "linear" | "log" }. A list entry can
+  // also be an object to set several parameters together, e.g. networkDim with networkAlpha.
+  sweep: null,
+  // Webhook targets told about the run, each { "url", "format", "events" }:
+  // format "json" (the default), "slack" or "discord"; events the notifications
+  // to send, by default all of NOTIFICATION_EVENTS.
+  webhooks: [],
+  webhookRetries: 3,             // Retries of a failed delivery, after 1, 2, 4... seconds
+  // After the output download: the final LoRA can be resized to resizeRank on
+  // the pod (networks.lora recipes only), the models are hashed into
+  // model_info.json and a model card (README.md) is written. Trigger words
+  // default to the class tokens and the tags in at least half of the captions.
+  postprocess: {
+    resizeRank: null,
+    modelCard: true,
+    triggerWords: null,          // e.g. ["mychar"]
+  },
+  // Where the models, model card and last samples are published: a Hugging Face
+  // model repo { "repo": "user/name", "private": true } (needs hfToken) and/or
+  // a bucket { "bucket", "prefix" } on the s3 endpoint, prefix defaulting to "<outputName>/".
+  publish: {
+    huggingface: null,
+    s3: null,
+  },
+  // SSH authentication. "file" uses sshPrivateKeyPath, decrypted with
+  // sshKeyPassphrase if set; "agent" the keys of the running ssh-agent
+  // (SSH_AUTH_SOCK); "ephemeral" a keypair generated for the run, stored next
+  // to the journal, whose public key is given to the pod as PUBLIC_KEY.
+  sshKeyMode: "file",
+  sshPrivateKeyPath: "~/.ssh/id_rsa",
+  sshKeyPassphrase: null,        // Or set SSH_KEY_PASSPHRASE
+  sshConnectTimeoutMinutes: 5,   // How long to retry until the pod's sshd accepts connections
+  podName: "runpod-lora-trainer",
+  teardownMode: "stop",        // "stop" keeps the disk (still billed), "terminate" deletes the pod
+  // Logging. logLevel is the most detailed level shown, one of LOG_LEVELS:
+  // "debug" adds API calls and SSH commands, "trace" full GraphQL queries and
+  // responses. logFormat "json" prints one JSON object per line. Each run also
+  // writes a log at logFileLevel to localOutputDir/logs unless logFile is false.
+  logLevel: "info",
+  logFormat: "text",
+  logFile: true,
+  logFileLevel: "debug",
+  debug: false                 // Same as logLevel "debug"
+};
+
+// ---------------------------------------------------------------------
+// Training Recipes
+// ---------------------------------------------------------------------
+// Each recipe names the sd-scripts entry point and network module for a model
+// family, plus the settings that family needs. "auxModels" are the extra
+// training.* files the recipe requires. "secondsPerStep" is a rough
+// [fast GPU, slow GPU] range at batch size 1, used by plan to estimate the cost.
+const TORCH_CU118 = {
+  packages: "torch==2.1.2 torchvision==0.16.2",
+  xformers: "xformers==0.0.23.post1",
+  indexUrl: "https://download.pytorch.org/whl/cu118",
+};
+const TORCH_CU124 = {
+  packages: "torch==2.4.0 torchvision==0.19.0",
+  xformers: "xformers==0.0.27.post2",
+  indexUrl: "https://download.pytorch.org/whl/cu124",
+};
+
+const SD15 = { script: "train_network.py", branch: "main", torch: TORCH_CU118, resolution: 512, secondsPerStep: [0.4, 1.2] };
+const SDXL = { script: "sdxl_train_network.py", branch: "main", torch: TORCH_CU118, resolution: 1024, secondsPerStep: [1, 2.5] };
+
+const RECIPES = {
+  "sd15-lora": { ...SD15, networkModule: "networks.lora" },
+  "sdxl-lora": { ...SDXL, networkModule: "networks.lora" },
+  "flux-lora": {
+    script: "flux_train_network.py",
+    branch: "sd3",
+    torch: TORCH_CU124,
+    resolution: 1024,
+    secondsPerStep: [2.5, 6],
+    networkModule: "networks.lora_flux",
+    auxModels: ["clipL", "t5xxl", "ae"],
+    args: {
+      network_train_unet_only: true,
+      cache_text_encoder_outputs: true,
+      guidance_scale: 1.0,
+      timestep_sampling: "shift",
+      discrete_flow_shift: 3.1582,
+      model_prediction_type: "raw",
+      fp8_base: true,
+    },
+  },
+  "sd3-lora": {
+    script: "sd3_train_network.py",
+    branch: "sd3",
+    torch: TORCH_CU124,
+    resolution: 1024,
+    secondsPerStep: [1.5, 4],
+    networkModule: "networks.lora_sd3",
+    auxModels: ["clipL", "clipG", "t5xxl"],
+    args: {
+      network_train_unet_only: true,
+      cache_text_encoder_outputs: true,
+    },
+  },
+  "sd15-locon": { ...SD15, networkModule: "lycoris.kohya", networkArgs: ["algo=locon"], lycoris: true },
+  "sd15-loha": { ...SD15, networkModule: "lycoris.kohya", networkArgs: ["algo=loha"], lycoris: true },
+  "sdxl-locon": { ...SDXL, networkModule: "lycoris.kohya", networkArgs: ["algo=locon"], lycoris: true },
+  "sdxl-loha": { ...SDXL, networkModule: "lycoris.kohya", networkArgs: ["algo=loha"], lycoris: true },
+  "sdxl-lokr": { ...SDXL, networkModule: "lycoris.kohya", networkArgs: ["algo=lokr", "factor=8"], lycoris: true },
+};
+
+// Maps recipe auxModels entries to the sd-scripts option that points at them.
+const AUX_MODEL_ARGS = {
+  clipL: "clip_l",
+  clipG: "clip_g",
+  t5xxl: "t5xxl",
+  ae: "ae",
+};
+
+// ---------------------------------------------------------------------
+// Load configuration from an external JSON, YAML or TOML file if specified and merge with defaults
+// ---------------------------------------------------------------------
+// Config files the CLI looks up in the working directory when --config is not given.
+const DEFAULT_CONFIG_FILES = ["config.json", "config.yaml", "config.yml", "config.toml"];
+
+// Sections that are merged key by key instead of replaced.
+const NESTED_CONFIG_KEYS = ["training", "s3", "stageRetries", "stageTimeoutsMinutes", "sshHost", "postprocess", "publish"];
+
+/**
+ * mergeConfig(base, overrides)
+ *
+ * Returns base with overrides applied, merging the nested sections key by key.
+ */
+function mergeConfig(base, overrides) {
+  const merged = { ...base, ...overrides };
+  NESTED_CONFIG_KEYS.forEach((key) => {
+    merged[key] = { ...base[key], ...((overrides && overrides[key]) || {}) };
+  });
+  return merged;
+}
+
+/**
+ * readConfigFile(filePath)
+ *
+ * Parses a config or jobs file: YAML for .yaml/.yml, TOML for .toml, JSON otherwise.
+ */
+function readConfigFile(filePath) {
+  const content = fs.readFileSync(filePath, "utf8");
+  const extension = path.extname(filePath).toLowerCase();
+  if (extension === ".yaml" || extension === ".yml") {
+    return YAML.parse(content);
+  }
+  if (extension === ".toml") {
+    return TOML.parse(content);
+  }
+  return JSON.parse(content);
+}
+
+/**
+ * resolveProfile(fileConfig, name)
+ *
+ * Returns the settings of a config file with the named entry of its "profiles"
+ * applied. A profile's "extends" names the profile (or list of profiles) it is
+ * based on, which are applied first.
+ */
+function resolveProfile(fileConfig, name) {
+  const { profiles = {}, ...settings } = fileConfig || {};
+  if (!name) {
+    return settings;
+  }
+  const applyProfile = (profileName, chain) => {
+    if (chain.includes(profileName)) {
+      throw new Error(`Profile "${profileName}" extends itself: ${[...chain, profileName].join(" -> ")}.`);
+    }
+    if (!profiles[profileName]) {
+      const known = Object.keys(profiles);
+      throw new Error(`Unknown profile "${profileName}"${known.length > 0 ? `, expected one of: ${known.join(", ")}` : ""}.`);
+    }
+    const { extends: parents = [], ...profile } = profiles[profileName];
+    const inherited = [].concat(parents).reduce(
+      (merged, parent) => mergeConfig(merged, applyProfile(parent, [...chain, profileName])),
+      {}
+    );
+    return mergeConfig(inherited, profile);
+  };
+  return mergeConfig(settings, applyProfile(name, []));
+}
+
+// ---------------------------------------------------------------------
+// Environment Variables and Secrets
+// ---------------------------------------------------------------------
+// Secret settings and the environment variables they are read from. The
+// environment takes precedence over config files, command-line options over both.
+const SECRET_ENVIRONMENT_VARIABLES = {
+  runpodApiKey: "RUNPOD_API_KEY",
+  hfToken: "HF_TOKEN",
+  civitaiToken: "CIVITAI_TOKEN",
+  "s3.accessKeyId": "AWS_ACCESS_KEY_ID",
+  "s3.secretAccessKey": "AWS_SECRET_ACCESS_KEY",
+  sshKeyPassphrase: "SSH_KEY_PASSPHRASE",
+};
+const SECRET_KEYS = Object.keys(SECRET_ENVIRONMENT_VARIABLES);
+
+/**
+ * secretValue(config, key)
+ *
+ * Returns the value of a secret setting, "s3.secretAccessKey" style keys reaching into sections.
+ */
+function secretValue(config, key) {
+  return key.split(".").reduce((value, part) => (value ? value[part] : undefined), config);
+}
+
+/**
+ * withSecret(config, key, value)
+ *
+ * Returns a copy of config with a secret setting replaced.
+ */
+function withSecret(config, key, value) {
+  const [section, name] = key.split(".");
+  return name ? { ...config, [section]: { ...config[section], [name]: value } } : { ...config, [section]: value };
+}
+
+/**
+ * environmentConfig(env)
+ *
+ * Returns the secret settings given by environment variables.
+ */
+function environmentConfig(env) {
+  return SECRET_KEYS
+    .filter((key) => env[SECRET_ENVIRONMENT_VARIABLES[key]])
+    .reduce((result, key) => withSecret(result, key, env[SECRET_ENVIRONMENT_VARIABLES[key]]), {});
+}
+
+/**
+ * redactConfig(config)
+ *
+ * Returns a copy of config that is safe to print, with the secrets masked.
+ */
+function redactConfig(config) {
+  const redacted = SECRET_KEYS
+    .filter((key) => secretValue(config, key))
+    .reduce((result, key) => withSecret(result, key, "***"), config);
+  // Slack and Discord webhook URLs carry their token.
+  return { ...redacted, webhooks: (config.webhooks || []).map((target) => ({ ...target, url: "***" })) };
+}
+
+// Secrets recognizable without knowing them: bearer tokens, Hugging Face and
+// RunPod API keys, token arguments and the credentials of presigned S3 URLs.
+const SECRET_PATTERNS = [
+  [/(Authorization:\s*Bearer\s+)[^\s'"]+/gi, "$1***"],
+  [/\bhf_[A-Za-z0-9]{20,}/g, "hf_***"],
+  [/\brpa_[A-Za-z0-9]{20,}/g, "rpa_***"],
+  [/(--token[\s=]+)('[^']*'|[^\s'"]+)/g, "$1***"],
+  [/(X-Amz-(?:Credential|Signature)=)[^&\s'"]+/g, "$1***"],
+];
+
+/**
+ * redactSecrets(text, config)
+ *
+ * Masks every secret of config (null for none) that appears in text, e.g. a
+ * token embedded in a command, and anything that looks like one.
+ */
+function redactSecrets(text, config) {
+  const secrets = config
+    ? [...SECRET_KEYS.map((key) => secretValue(config, key)), ...(config.webhooks || []).map((target) => target && target.url)]
+    : [];
+  const redacted = secrets
+    .filter((secret) => typeof secret === "string" && secret.length >= 4)
+    .reduce((result, secret) => result.split(secret).join("***"), String(text));
+  return SECRET_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), redacted);
+}
+
+// ---------------------------------------------------------------------
+// Configuration Schema
+// ---------------------------------------------------------------------
+// The type of every setting: "string", "number", "integer", "boolean", "array"
+// or "object", alternatives separated by "|" and a trailing "?" when it may be
+// null. Nested objects describe the sections.
+const MODEL_SOURCE = "string|object?";
+const CONFIG_SCHEMA = {
+  config: "string?",
+  profile: "string?",
+  podId: "string?",
+  yes: "boolean?",
+  dryRun: "boolean?",
+  notifyTest: "boolean?",
+  provider: "string",
+  sshHost: {
+    host: "string?",
+    port: "integer",
+    username: "string",
+    pricePerHour: "number",
+  },
+  volumeMountPath: "string",
+  remoteDatasetPath: "string",
+  trainOutputDir: "string",
+  remoteModelsPath: "string",
+  runpodApiKey: "string?",
+  instanceImage: "string",
+  modelPath: "string",
+  modelSha256: "string?",
+  hfToken: "string?",
+  civitaiToken: "string?",
+  s3: {
+    endpoint: "string?",
+    region: "string",
+    accessKeyId: "string?",
+    secretAccessKey: "string?",
+  },
+  recipe: "string",
+  training: {
+    outputName: "string",
+    networkDim: "integer",
+    networkAlpha: "number",
+    learningRate: "number",
+    unetLr: "number?",
+    textEncoderLr: "number?",
+    epochs: "integer",
+    batchSize: "integer",
+    resolution: "integer?",
+    optimizer: "string",
+    lrScheduler: "string",
+    mixedPrecision: "string",
+    clipL: MODEL_SOURCE,
+    clipG: MODEL_SOURCE,
+    t5xxl: MODEL_SOURCE,
+    ae: MODEL_SOURCE,
+    extraArgs: "object",
+    samplePrompts: "array",
+    sampleEveryNEpochs: "integer",
+    sampleSampler: "string",
+  },
+  localDatasetPath: "string",
+  datasetConfigFile: "string",
+  localOutputDir: "string",
+  journalPath: "string",
+  minImageSide: "integer",
+  maxAspectRatio: "number",
+  strictValidation: "boolean",
+  minMemoryRequired: "number",
+  minBidPriceLimit: "number",
+  maxBidPriceLimit: "number",
+  gpuStrategy: "string",
+  gpuAllowList: "array",
+  gpuDenyList: "array",
+  gpuCount: "integer",
+  secureCloud: "boolean",
+  networkVolumeId: "string?",
+  networkVolumeName: "string?",
+  networkVolumeSizeGb: "integer",
+  dataCenterId: "string?",
+  cloudMode: "string",
+  bidStrategy: "string",
+  bidMargin: "number",
+  bidPrice: "number?",
+  maxPreemptionRetries: "integer",
+  saveEveryNEpochs: "integer",
+  stateSyncIntervalSeconds: "number",
+  artifactSyncIntervalSeconds: "number",
+  stageRetries: {
+    uploadDataset: "integer",
+    downloadModel: "integer",
+    cloneSdScripts: "integer",
+    installPythonRequirements: "integer",
+    launchTraining: "integer",
+    downloadOutput: "integer",
+    processOutput: "integer",
+    publishOutput: "integer",
+  },
+  stageTimeoutsMinutes: {
+    downloadModel: "number?",
+    cloneSdScripts: "number?",
+    installPythonRequirements: "number?",
+    launchTraining: "number?",
+    processOutput: "number?",
+    publishOutput: "number?",
+  },
+  retryBackoffSeconds: "number",
+  maxSpendUsd: "number?",
+  maxRuntimeMinutes: "number?",
+  budgetWarningThresholds: "array",
+  idleGpuMinutes: "number?",
+  idleGpuUtilizationPercent: "number",
+  podReadyTimeoutMinutes: "number",
+  reconnectAttempts: "integer",
+  jobsFile: "string?",
+  parallelPods: "integer",
+  sweep: "object?",
+  webhooks: "array",
+  webhookRetries: "integer",
+  postprocess: {
+    resizeRank: "integer?",
+    modelCard: "boolean",
+    triggerWords: "array?",
+  },
+  publish: {
+    huggingface: "object?",
+    s3: "object?",
+  },
+  sshKeyMode: "string",
+  sshPrivateKeyPath: "string",
+  sshKeyPassphrase: "string?",
+  sshConnectTimeoutMinutes: "number",
+  podName: "string",
+  teardownMode: "string",
+  logLevel: "string",
+  logFormat: "string",
+  logFile: "boolean",
+  logFileLevel: "string",
+  debug: "boolean",
+};
+
+/**
+ * matchesType(value, type)
+ *
+ * Tells whether a value has one of the types of a schema entry.
+ */
+function matchesType(value, type) {
+  if (value === null || value === undefined) {
+    return type.endsWith("?");
+  }
+  return type.replace(/\?$/, "").split("|").some((name) => {
+    switch (name) {
+      case "integer":
+        return Number.isInteger(value);
+      case "number":
+        return typeof value === "number" && Number.isFinite(value);
+      case "array":
+        return Array.isArray(value);
+      case "object":
+        return typeof value === "object" && !Array.isArray(value);
+      default:
+        return typeof value === name;
+    }
+  });
+}
+
+/**
+ * editDistance(a, b)
+ *
+ * Returns the Levenshtein distance between two strings.
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * schemaErrors(values, schema, prefix)
+ *
+ * Returns messages for the keys of values that the schema doesn't know, with
+ * the closest known key as a suggestion, and for values of the wrong type.
+ */
+function schemaErrors(values, schema = CONFIG_SCHEMA, prefix = "") {
+  const errors = [];
+  for (const [key, value] of Object.entries(values)) {
+    const name = `${prefix}${key}`;
+    const type = schema[key];
+    if (type === undefined) {
+      const closest = Object.keys(schema)
+        .map((known) => ({ known, distance: editDistance(key.toLowerCase(), known.toLowerCase()) }))
+        .sort((a, b) => a.distance - b.distance)[0];
+      const suggestion = closest && closest.distance <= Math.max(2, Math.floor(key.length / 3))
+        ? ` Did you mean "${prefix}${closest.known}"?`
+        : "";
+      errors.push(`Unknown setting "${name}".${suggestion}`);
+    } else if (typeof type === "object") {
+      if (matchesType(value, "object")) {
+        errors.push(...schemaErrors(value, type, `${name}.`));
+      } else {
+        errors.push(`Setting "${name}" must be an object, got ${JSON.stringify(value)}.`);
+      }
+    } else if (!matchesType(value, type)) {
+      const expected = type.replace(/\?$/, "").split("|").join(" or ") + (type.endsWith("?") ? " or null" : "");
+      errors.push(`Setting "${name}" must be ${expected}, got ${JSON.stringify(value)}.`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * typeCheckedConfig(values, defaults, schema)
+ *
+ * Returns a copy of values in which every value of the wrong type is replaced
+ * by its default, so checks on the values only see settings that passed the
+ * type check.
+ */
+function typeCheckedConfig(values, defaults = defaultConfig, schema = CONFIG_SCHEMA) {
+  const checked = { ...values };
+  for (const [key, type] of Object.entries(schema)) {
+    if (typeof type === "object") {
+      checked[key] = typeCheckedConfig(matchesType(values[key], "object") ? values[key] : {}, defaults[key] || {}, type);
+    } else if (key in values && !matchesType(values[key], type)) {
+      checked[key] = defaults[key];
+    }
+  }
+  return checked;
+}
+
+/**
+ * configErrors(values)
+ *
+ * Returns every problem that makes a config unusable, as messages: unknown
+ * settings and wrong types first, then invalid values and combinations.
+ */
+function configErrors(values) {
+  const errors = schemaErrors(values);
+  const config = typeCheckedConfig(values);
+  if (!["stop", "terminate"].includes(config.teardownMode)) {
+    errors.push(`Invalid teardownMode "${config.teardownMode}", expected "stop" or "terminate".`);
+  }
+  if (!["runpod", "ssh-host"].includes(config.provider)) {
+    errors.push(`Invalid provider "${config.provider}", expected "runpod" or "ssh-host".`);
+  }
+  if (config.provider === "ssh-host") {
+    if (!config.sshHost.host) {
+      errors.push(`provider "ssh-host" requires sshHost.host.`);
+    }
+    if (config.cloudMode === "spot" || config.networkVolumeId || config.networkVolumeName || config.sshKeyMode === "ephemeral") {
+      errors.push(`cloudMode "spot", network volumes and sshKeyMode "ephemeral" are only available with provider "runpod".`);
+    }
+    if (config.parallelPods > 1) {
+      errors.push(`provider "ssh-host" has a single machine, parallelPods must be 1.`);
+    }
+  }
+  if (hasNetworkVolume(config) && config.parallelPods > 1) {
+    errors.push(`Parallel pods would share the network volume's dataset and training files, parallelPods must be 1 with networkVolumeId or networkVolumeName.`);
+  }
+  if (!["file", "agent", "ephemeral"].includes(config.sshKeyMode)) {
+    errors.push(`Invalid sshKeyMode "${config.sshKeyMode}", expected "file", "agent" or "ephemeral".`);
+  }
+  if (!["ondemand", "spot"].includes(config.cloudMode)) {
+    errors.push(`Invalid cloudMode "${config.cloudMode}", expected "ondemand" or "spot".`);
+  }
+  if (!["margin", "max", "fixed"].includes(config.bidStrategy)) {
+    errors.push(`Invalid bidStrategy "${config.bidStrategy}", expected "margin", "max" or "fixed".`);
+  }
+  if (!RECIPES[config.recipe]) {
+    errors.push(`Unknown recipe "${config.recipe}", expected one of: ${Object.keys(RECIPES).join(", ")}.`);
+  } else {
+    const missingAuxModels = (RECIPES[config.recipe].auxModels || []).filter((key) => !config.training[key]);
+    if (missingAuxModels.length > 0) {
+      errors.push(`Recipe "${config.recipe}" requires training.${missingAuxModels.join(", training.")}.`);
+    }
+    modelSpecs(config).filter((spec) => spec.sha256 && typeof spec.path === "string" && isHuggingFaceRepoSource(spec.path)).forEach((spec) => {
+      errors.push(`A SHA256 can only be checked for a single file, not the Hugging Face repo "${spec.path}".`);
+    });
+    if (config.postprocess.resizeRank && RECIPES[config.recipe].networkModule !== "networks.lora") {
+      errors.push(`postprocess.resizeRank needs a networks.lora recipe (sd15-lora, sdxl-lora), not "${config.recipe}".`);
+    }
+  }
+  const { huggingface, s3 } = config.publish;
+  if (huggingface && (typeof huggingface.repo !== "string" || !/^[\w.-]+\/[\w.-]+$/.test(huggingface.repo))) {
+    errors.push(`publish.huggingface needs a "repo" like "user/my-lora".`);
+  } else if (huggingface && !config.hfToken) {
+    errors.push(`publish.huggingface requires hfToken (or HF_TOKEN) with write access.`);
+  }
+  if (s3 && (typeof s3.bucket !== "string" || !s3.bucket)) {
+    errors.push(`publish.s3 needs a "bucket".`);
+  }
+  if (!Array.isArray(config.training.samplePrompts) || config.training.samplePrompts.some(
+    (sample) => typeof sample !== "string" && !(sample && typeof sample.prompt === "string")
+  )) {
+    errors.push(`training.samplePrompts must be a list of prompts, each a string or an object with a "prompt".`);
+  }
+  if (!["cheapest", "pricePerGb", "fastest"].includes(config.gpuStrategy)) {
+    errors.push(`Invalid gpuStrategy "${config.gpuStrategy}", expected "cheapest", "pricePerGb" or "fastest".`);
+  }
+  if (config.gpuStrategy === "fastest" && config.gpuAllowList.length === 0) {
+    errors.push(`gpuStrategy "fastest" requires gpuAllowList, ordered fastest first.`);
+  }
+  ["logLevel", "logFileLevel"].filter((key) => !LOG_LEVELS.includes(config[key])).forEach((key) => {
+    errors.push(`Invalid ${key} "${config[key]}", expected one of: ${LOG_LEVELS.join(", ")}.`);
+  });
+  if (!["text", "json"].includes(config.logFormat)) {
+    errors.push(`Invalid logFormat "${config.logFormat}", expected "text" or "json".`);
+  }
+  if (config.cloudMode === "spot" && config.bidStrategy === "fixed" && !config.bidPrice) {
+    errors.push(`bidStrategy "fixed" requires bidPrice.`);
+  }
+  config.webhooks.forEach((target, index) => {
+    if (!target || typeof target.url !== "string" || !/^https?:\/\//.test(target.url)) {
+      errors.push(`webhooks[${index}] needs an http(s) "url".`);
+      return;
+    }
+    if (target.format !== undefined && !WEBHOOK_FORMATS.includes(target.format)) {
+      errors.push(`Invalid webhooks[${index}].format "${target.format}", expected one of: ${WEBHOOK_FORMATS.join(", ")}.`);
+    }
+    const unknownEvents = [].concat(target.events || []).filter((event) => !NOTIFICATION_EVENTS.includes(event));
+    if (unknownEvents.length > 0) {
+      errors.push(`Unknown webhooks[${index}].events ${unknownEvents.join(", ")}, expected: ${NOTIFICATION_EVENTS.join(", ")}.`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * normalizeConfig(config)
+ *
+ * Returns a copy of a valid config with the settings it implies: attaching a
+ * network volume switches on secureCloud, which it requires, and debug
+ * raises logLevel to "debug".
+ */
+function normalizeConfig(config) {
+  const normalized = mergeConfig(config, {});
+  if (hasNetworkVolume(normalized) && !normalized.secureCloud) {
+    log.info("Network volumes are only available on Secure Cloud, enabling secureCloud.");
+    normalized.secureCloud = true;
+  }
+  if (normalized.debug && !logLevelEnabled("debug", normalized.logLevel)) {
+    normalized.logLevel = "debug";
+  }
+  return normalized;
+}
+
+/**
+ * loadConfig({ configPath, profile, overrides, env })
+ *
+ * Returns the configuration of a run: the defaults, then the config file with
+ * the profile applied, then the secrets found in env, then overrides (e.g. the
+ * command-line options). Throws a ConfigError listing every problem.
+ */
+function loadConfig({ configPath = null, profile = null, overrides = {}, env = process.env } = {}) {
+  let fileConfig = {};
+  if (configPath) {
+    try {
+      fileConfig = resolveProfile(readConfigFile(configPath), profile);
+    } catch (error) {
+      throw new ConfigError([`Failed to load configuration file ${configPath}: ${error.message}`]);
+    }
+  } else if (profile) {
+    throw new ConfigError([`Profile "${profile}" requested but no configuration file found.`]);
+  }
+  const config = mergeConfig(mergeConfig(mergeConfig(defaultConfig, fileConfig), environmentConfig(env)), overrides);
+  const errors = configErrors(config);
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+  return normalizeConfig(config);
+}
+
+// ---------------------------------------------------------------------
+// Run State, Logs and Events
+// ---------------------------------------------------------------------
+// Each Trainer keeps the state of its run: the pod, so it can be stopped from
+// any exit path instead of being left running, and the SSH connection. Code
+// running for a trainer reaches that state through activeRun(), which follows
+// it across awaits, timers and SSH callbacks. Queue jobs running side by side
+// each get a state of their own.
+const runContext = new AsyncLocalStorage();
+
+/**
+ * createRunState(trainer, label)
+ *
+ * Returns the state of a run of trainer. label prefixes the run's log lines,
+ * e.g. "pod 2" for a queue worker.
+ */
+function createRunState(trainer, label = null) {
+  return {
+    trainer,
+    label,
+    job: null,                   // Name of the queue job being run
+    provider: null,
+    podId: null,
+    ssh: null,
+    tearingDown: false,
+    stopReason: null,
+    limitShutdown: null,         // Set while a guardrail is saving the output and stopping the pod
+    limitReason: null,
+    workers: [],                 // States of the queue workers, each tearing down its own pod
+    stage: null,                 // Stage in progress, tagging log lines and named by the failed notification
+    journal: null,               // Journal and config of the run in progress, for stop()
+    config: null,
+    notifications: new Set(),    // Webhook deliveries on their way
+    runEnd: null,                // { journal, delivery } of the completed or failed notification
+  };
+}
+
+// State of code running outside a Trainer, e.g. loadConfig.
+const detachedRun = createRunState(null);
+
+/**
+ * activeRun()
+ *
+ * Returns the state of the run the calling code belongs to.
+ */
+function activeRun() {
+  return runContext.getStore() || detachedRun;
+}
+
+// The progress line shown on the terminal, kept below log lines.
+let consoleProgressLine = "";
+
+/**
+ * writeConsole(level, message)
+ *
+ * Prints a log message, redrawing the progress line below it on a terminal.
+ */
+function writeConsole(level, message) {
+  const redraw = process.stdout.isTTY && consoleProgressLine;
+  if (redraw) {
+    process.stdout.write("\r\x1b[K");
+  }
+  (level === "error" ? console.error : level === "warn" ? console.warn : console.log)(message);
+  if (redraw) {
+    process.stdout.write(consoleProgressLine);
+  }
+}
+
+// Log levels, least detailed first.
+const LOG_LEVELS = ["error", "warn", "info", "debug", "trace"];
+
+/**
+ * logLevelEnabled(level, threshold)
+ *
+ * Tells whether messages of a level are logged when threshold is the most detailed level shown.
+ */
+function logLevelEnabled(level, threshold) {
+  return LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(threshold);
+}
+
+/**
+ * writeLogFile(trainer, entry)
+ *
+ * Appends a log entry to the trainer's run log, each line prefixed with the
+ * time, level, stage and job. A log file that cannot be written is given up.
+ */
+function writeLogFile(trainer, entry) {
+  const tags = [entry.stage, entry.job && `job ${entry.job}`].filter(Boolean).map((tag) => ` [${tag}]`).join("");
+  const prefix = `${entry.time} ${entry.level.toUpperCase().padEnd(5)}${tags} `;
+  try {
+    fs.appendFileSync(trainer.logFile, `${entry.message.split("\n").map((line) => `${prefix}${line}`.trimEnd()).join("\n")}\n`);
+  } catch (error) {
+    writeConsole("warn", `⚠️  Could not write the log file ${trainer.logFile}: ${error.message}`);
+    trainer.logFile = null;
+  }
+}
+
+/**
+ * emitLog(level, args)
+ *
+ * Formats args like console.log does, masks secrets, and emits the message as
+ * a "log" event ({ time, level, message, job, stage }) of the active trainer,
+ * or prints it when nothing listens, if logLevel shows the level. The run log
+ * gets it at logFileLevel.
+ */
+function emitLog(level, args) {
+  const run = activeRun();
+  const trainer = run.trainer;
+  const config = trainer ? trainer.config : null;
+  const shown = logLevelEnabled(level, config ? config.logLevel : "info");
+  const filed = Boolean(trainer && trainer.logFile) && logLevelEnabled(level, config.logFileLevel);
+  if (!shown && !filed) {
+    return;
+  }
+  // Remote output arrives in chunks ending in newlines, which would print as blank lines.
+  let message = redactSecrets(util.format(...args), config).trimEnd();
+  if (run.config && run.config !== config) {
+    message = redactSecrets(message, run.config);
+  }
+  if (run.label) {
+    message = message.split("\n").map((line) => `[${run.label}] ${line}`.trimEnd()).join("\n");
+  }
+  const entry = { time: new Date().toISOString(), level, message, job: run.job, stage: run.stage };
+  if (filed) {
+    writeLogFile(trainer, entry);
+  }
+  if (!shown) {
+    return;
+  }
+  if (trainer && trainer.listenerCount("log") > 0) {
+    trainer.emit("log", entry);
+  } else {
+    writeConsole(level, message);
+  }
+}
+
+const log = {
+  error: (...args) => emitLog("error", args),
+  warn: (...args) => emitLog("warn", args),
+  info: (...args) => emitLog("info", args),
+  debug: (...args) => emitLog("debug", args),
+  trace: (...args) => emitLog("trace", args),
+};
+
+/**
+ * progressInline()
+ *
+ * Whether progress is redrawn on a single terminal line. Without a TTY, or
+ * for queue workers sharing the terminal, it is logged every now and then instead.
+ */
+function progressInline() {
+  return Boolean(process.stdout.isTTY) && !activeRun().label;
+}
+
+/**
+ * emitProgress(progress)
+ *
+ * Emits a "progress" event of the active trainer, e.g. { stage, line, step,
+ * totalSteps }, or shows progress.line when nothing listens.
+ */
+function emitProgress(progress) {
+  const run = activeRun();
+  if (run.trainer && run.trainer.listenerCount("progress") > 0) {
+    run.trainer.emit("progress", { ...progress, job: run.job });
+  } else if (progressInline()) {
+    consoleProgressLine = progress.line;
+    process.stdout.write(`\r${progress.line}\x1b[K`);
+  } else {
+    log.info(progress.line);
+  }
+}
+
+/**
+ * endProgress()
+ *
+ * Ends the progress line on the terminal, if one is shown.
+ */
+function endProgress() {
+  if (process.stdout.isTTY && consoleProgressLine) {
+    process.stdout.write("\n");
+    consoleProgressLine = "";
+  }
+}
+
+/**
+ * emitStage(stage, status, details)
+ *
+ * Emits a "stage" event ({ stage, status, job, ... }) of the active trainer.
+ * status is "started", "completed", "skipped", "retrying" or "failed".
+ */
+function emitStage(stage, status, details = {}) {
+  const run = activeRun();
+  if (status === "started") {
+    run.stage = stage;
+  } else if (status === "completed" || status === "skipped") {
+    run.stage = null;
+  }
+  if (run.trainer) {
+    run.trainer.emit("stage", { stage, status, job: run.job, ...details });
+  }
+}
+
+// ---------------------------------------------------------------------
+// Helper function: debugGraphQLRequest
+// ---------------------------------------------------------------------
+// Logs each call at debug level (operation, variables, duration) and the full
+// query and response at trace level.
+async function debugGraphQLRequest(client, query, variables, config) {
+  const operation = query.definitions.find((definition) => definition.kind === "OperationDefinition");
+  const name = operation && operation.name ? operation.name.value : "anonymous";
+  log.debug(`GraphQL ${name} ${redactSecrets(JSON.stringify(variables), config)}`);
+  log.trace(`GraphQL query:\n${query.loc ? query.loc.source.body.trim() : name}`);
+  const startedAt = Date.now();
+  try {
+    const response = await client.query({ query, variables, fetchPolicy: "no-cache" });
+    log.debug(`GraphQL ${name} succeeded in ${Date.now() - startedAt}ms`);
+    log.trace(`GraphQL response:\n${JSON.stringify(response, null, 2)}`);
+    return response;
+  } catch (error) {
+    log.debug(`GraphQL ${name} failed in ${Date.now() - startedAt}ms: ${error.message}`);
+    log.trace(`GraphQL error:\n${JSON.stringify(error, null, 2)}`);
+    throw error;
+  }
+}
+
+// ---------------------------------------------------------------------
+// FUNCTION DEFINITIONS (All functions receive parameters)
+// ---------------------------------------------------------------------
+
+/**
+ * PodPreemptedError
+ *
+ * Thrown when a spot pod is interrupted (outbid or reclaimed) during a run.
+ */
+class PodPreemptedError extends Error {
+  constructor(podId) {
+    super(`Pod ${podId} was preempted.`);
+    this.name = "PodPreemptedError";
+    this.podId = podId;
+  }
+}
+
+/**
+ * RemoteCommandError
+ *
+ * Thrown when a command on the pod exits with a non-zero code, is killed by a
+ * signal, times out or loses its connection. Carries the tail of its stderr.
+ */
+class RemoteCommandError extends Error {
+  constructor(command, { code, signal, timedOut, stderrTail }) {
+    const firstLine = command.trim().split("\n")[0];
+    let reason;
+    if (timedOut) {
+      reason = "timed out";
+    } else if (signal) {
+      reason = `was killed by signal ${signal}`;
+    } else if (code === undefined || code === null) {
+      reason = "lost its connection";
+    } else {
+      reason = `exited with code ${code}`;
+    }
+    super(`Remote command "${firstLine}" ${reason}${stderrTail ? `:\n${stderrTail}` : "."}`);
+    this.name = "RemoteCommandError";
+    this.command = command;
+    this.code = code;
+    this.signal = signal;
+    this.timedOut = Boolean(timedOut);
+    this.stderrTail = stderrTail;
+  }
+}
+
+/**
+ * ConfigError
+ *
+ * Thrown when a configuration cannot be loaded or is invalid. Carries every problem found.
+ */
+class ConfigError extends Error {
+  constructor(errors) {
+    super(errors.join("\n"));
+    this.name = "ConfigError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * DatasetValidationError
+ *
+ * Thrown before deploying when the dataset fails validation. Carries the validation report.
+ */
+class DatasetValidationError extends Error {
+  constructor(report) {
+    super("Dataset validation failed, not deploying. Fix the dataset or run the validate action for details.");
+    this.name = "DatasetValidationError";
+    this.report = report;
+  }
+}
+
+/**
+ * StageError
+ *
+ * Thrown when a stage fails after its retries. The stage's last error is the cause.
+ */
+class StageError extends Error {
+  constructor(stage, attempts, cause) {
+    super(`Stage ${stage} failed: ${cause.message}`, { cause });
+    this.name = "StageError";
+    this.stage = stage;
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * LimitReachedError
+ *
+ * Thrown when a guardrail (spend, runtime or idle GPU) stopped the run. The
+ * output produced so far is downloaded and the journal is kept for resume.
+ */
+class LimitReachedError extends Error {
+  constructor(reason) {
+    super(`${reason}.`);
+    this.name = "LimitReachedError";
+  }
+}
+
+/**
+ * RunStoppedError
+ *
+ * Thrown by a run that was stopped with Trainer.stop().
+ */
+class RunStoppedError extends Error {
+  constructor(reason) {
+    super(`Run stopped: ${reason}.`);
+    this.name = "RunStoppedError";
+    this.reason = reason;
+  }
+}
+
+/**
+ * gpuHourlyPrice(gpu, config)
+ *
+ * Returns the price a GPU type is compared on: the on-demand price, or the
+ * minimum bid in spot mode.
+ */
+function gpuHourlyPrice(gpu, config) {
+  if (!gpu.lowestPrice) {
+    return null;
+  }
+  return config.cloudMode === "spot" ? gpu.lowestPrice.minimumBidPrice : gpu.lowestPrice.uninterruptablePrice;
+}
+
+/**
+ * computeBidPrice(gpuType, config)
+ *
+ * Returns the bid per GPU for a spot pod according to config.bidStrategy.
+ */
+function computeBidPrice(gpuType, config) {
+  let bid;
+  if (config.bidStrategy === "fixed") {
+    bid = config.bidPrice;
+  } else if (config.bidStrategy === "max") {
+    bid = config.maxBidPriceLimit;
+  } else {
+    bid = Math.min(gpuType.lowestPrice.minimumBidPrice + config.bidMargin, config.maxBidPriceLimit);
+  }
+  return Math.round(bid * 1000) / 1000;
+}
+
+/**
+ * queryGpuTypes(graphqlClient, config)
+ *
+ * Returns all GPU types with their lowest prices for the configured GPU count and cloud.
+ */
+async function queryGpuTypes(graphqlClient, config) {
+  const GPU_TYPES_QUERY = gql`
+    query GpuTypes($input: GpuLowestPriceInput) {
+      gpuTypes {
+        id
+        displayName
+        memoryInGb
+        lowestPrice(input: $input) {
+          minimumBidPrice
+          totalCount
+          rentedCount
+          uninterruptablePrice
+        }
+      }
+    }
+  `;
+  try {
+    const { data } = await debugGraphQLRequest(graphqlClient, GPU_TYPES_QUERY, {
+      input: {
+        gpuCount: config.gpuCount,
+        supportPublicIp: true,
+        secureCloud: config.secureCloud,
+        dataCenterId: config.dataCenterId,
+      }
+    }, config);
+    return data.gpuTypes;
+  } catch (error) {
+    throw new Error(`Error querying GPU types: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * rankGpuTypes(gpuTypes, config)
+ *
+ * Filters GPU types down to those that:
+ *   - Have at least minMemoryRequired (in GB)
+ *   - Have available capacity (totalCount > rentedCount)
+ *   - Have an hourly price (the minimum bid in spot mode) within the configured range
+ *   - Are in gpuAllowList (when set) and not in gpuDenyList
+ * and sorts them best first according to config.gpuStrategy:
+ *   - "cheapest": lowest price, then least memory
+ *   - "pricePerGb": lowest price per GB of VRAM
+ *   - "fastest": order of gpuAllowList, which should list the fastest GPU first
+ */
+function rankGpuTypes(gpuTypes, config) {
+  const filtered = gpuTypes.filter((gpu) => {
+    const price = gpuHourlyPrice(gpu, config);
+    return (
+      gpu.memoryInGb >= config.minMemoryRequired &&
+      price &&
+      gpu.lowestPrice.totalCount > gpu.lowestPrice.rentedCount &&
+      price >= config.minBidPriceLimit &&
+      price <= config.maxBidPriceLimit &&
+      (config.gpuAllowList.length === 0 || config.gpuAllowList.includes(gpu.id)) &&
+      !config.gpuDenyList.includes(gpu.id)
+    );
+  });
+  const byPrice = (a, b) => {
+    const priceDiff = gpuHourlyPrice(a, config) - gpuHourlyPrice(b, config);
+    return priceDiff !== 0 ? priceDiff : a.memoryInGb - b.memoryInGb;
+  };
+  const comparators = {
+    cheapest: byPrice,
+    pricePerGb: (a, b) =>
+      gpuHourlyPrice(a, config) / a.memoryInGb - gpuHourlyPrice(b, config) / b.memoryInGb || byPrice(a, b),
+    fastest: (a, b) => config.gpuAllowList.indexOf(a.id) - config.gpuAllowList.indexOf(b.id) || byPrice(a, b),
+  };
+  return filtered.sort(comparators[config.gpuStrategy]);
+}
+
+/**
+ * chooseGpuCandidates(graphqlClient, config)
+ *
+ * Returns the ranked GPU types to try deploying on, best first.
+ * Throws if no GPU meets the criteria.
+ */
+async function chooseGpuCandidates(graphqlClient, config) {
+  const candidates = rankGpuTypes(await queryGpuTypes(graphqlClient, config), config);
+  if (candidates.length === 0) {
+    throw new Error(
+      `No GPU type found with at least ${config.minMemoryRequired}GB memory and ${config.cloudMode} price between ${config.minBidPriceLimit} and ${config.maxBidPriceLimit}.`
+    );
+  }
+  return candidates;
+}
+
+/**
+ * printGpuTable(candidates, config)
+ *
+ * Prints the ranked GPU types as a table.
+ */
+function printGpuTable(candidates, config) {
+  const rows = candidates.map((gpu, index) => {
+    const price = gpuHourlyPrice(gpu, config);
+    return [
+      String(index + 1),
+      gpu.id,
+      `${gpu.memoryInGb}GB`,
+      `$${price.toFixed(3)}`,
+      `$${(price / gpu.memoryInGb).toFixed(4)}`,
+      `${gpu.lowestPrice.totalCount - gpu.lowestPrice.rentedCount}/${gpu.lowestPrice.totalCount}`,
+    ];
+  });
+  const header = ["#", "GPU", "VRAM", `${config.cloudMode}/hr`, "$/GB/hr", "Available"];
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map((row) => row[column].length)));
+  const format = (row) => row.map((cell, column) => cell.padEnd(widths[column])).join("  ").trimEnd();
+  log.info(format(header));
+  log.info(widths.map((width) => "-".repeat(width)).join("  "));
+  rows.forEach((row) => log.info(format(row)));
+}
+
+/**
+ * isCapacityError(error)
+ *
+ * Returns true if a deploy failed because the GPU type has no free machines.
+ */
+function isCapacityError(error) {
+  return /no longer any instances available|not enough|capacity/i.test(error.message);
+}
+
+/**
+ * podDeployInput(config, gpuType, publicKey)
+ *
+ * Returns the pod settings sent with the deploy mutations, with publicKey
+ * passed to the pod as PUBLIC_KEY when set.
+ */
+function podDeployInput(config, gpuType, publicKey) {
+  return {
+    cloudType: config.secureCloud ? "SECURE" : "COMMUNITY",
+    gpuCount: config.gpuCount,
+    volumeInGb: 0,
+    volumeKey: null,
+    networkVolumeId: config.networkVolumeId,
+    dataCenterId: config.dataCenterId,
+    containerDiskInGb: 40,
+    minVcpuCount: 2,
+    minMemoryInGb: 15,
+    gpuTypeId: gpuType.id,
+    name: config.podName,
+    imageName: config.instanceImage,
+    ports: "22/tcp",
+    startSsh: true,
+    volumeMountPath: config.volumeMountPath,
+    env: publicKey ? [{ key: "PUBLIC_KEY", value: publicKey }] : [],
+  };
+}
+
+/**
+ * startRunPodInstance(graphqlClient, config, gpuTypeId)
+ *
+ * Deploys a new pod using a GraphQL mutation. Returns the pod ID.
+ */
+async function startRunPodInstance(graphqlClient, config, gpuType, publicKey) {
+  const POD_FIND_AND_DEPLOY_MUTATION = gql`
+    mutation OnDemand($input: PodFindAndDeployOnDemandInput!) {
+      podFindAndDeployOnDemand(input: $input) {
+        id
+        imageName
+        env
+        machineId
+        machine {
+          podHostId
+        }
+      }
+    }
+  `;
+  const variables = { input: podDeployInput(config, gpuType, publicKey) };
+  try {
+    const { data } = await debugGraphQLRequest(graphqlClient, POD_FIND_AND_DEPLOY_MUTATION, variables, config);
+    const podId = data.podFindAndDeployOnDemand.id;
+    log.info(`🎉 RunPod instance started! ID: ${podId}`);
+    return podId;
+  } catch (error) {
+    throw new Error(`Error starting RunPod instance: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * startRentPodInstance(graphqlClient, config, gpuType, bidPerGpu)
+ *
+ * Deploys a new interruptible (spot) pod using a GraphQL mutation. Returns the pod ID.
+ */
+async function startRentPodInstance(graphqlClient, config, gpuType, bidPerGpu, publicKey) {
+  const POD_RENT_INTERRUPTABLE_MUTATION = gql`
+    mutation BidPod($input: PodRentInterruptableInput!) {
+      podRentInterruptable(input: $input) {
+        id
+        imageName
+        env
+        machineId
+        machine {
+          podHostId
+        }
+      }
+    }
+  `;
+  const variables = { input: { ...podDeployInput(config, gpuType, publicKey), bidPerGpu } };
+  try {
+    const { data } = await debugGraphQLRequest(graphqlClient, POD_RENT_INTERRUPTABLE_MUTATION, variables, config);
+    const podId = data.podRentInterruptable.id;
+    log.info(`🎉 RunPod spot instance started with a bid of $${bidPerGpu}/hr! ID: ${podId}`);
+    return podId;
+  } catch (error) {
+    throw new Error(`Error starting RunPod instance: ${error.message}`, { cause: error });
+  }
+}
+
+
+/**
+ * waitForPodReady(graphqlClient, podId, config)
+ *
+ * Polls the pod status until it is ready and returns the pod IP.
+ * In spot mode, throws PodPreemptedError if the pod is interrupted while waiting.
+ * Gives up after podReadyTimeoutMinutes.
+ */
+async function waitForPodReady(graphqlClient, podId, config) {
+  log.info("⏳ Waiting for instance to be ready...");
+  const deadline = Date.now() + config.podReadyTimeoutMinutes * 60000;
+  const POD_QUERY = gql`
+    query Pod($podId: String!) {
+      pod(input: { podId: $podId }) {
+        id
+        name
+        desiredStatus
+        runtime {
+          uptimeInSeconds
+          ports {
+            ip
+            isIpPublic
+            privatePort
+            publicPort
+          }
+        }
+      }
+    }
+  `;
+  while (true) {
+    let pod = null;
+    try {
+      const variables = { podId };
+      const { data } = await debugGraphQLRequest(graphqlClient, POD_QUERY, variables, config);
+      pod = data.pod;
+      if (data.pod && data.pod.runtime && data.pod.runtime.ports && data.pod.runtime.ports.length > 0) {
+        const instance =
+          data.pod.runtime.ports.find((p) => p.isIpPublic) || data.pod.runtime.ports[0];
+        log.info(`✅ RunPod instance is ready! IP: ${instance.ip} Port: ${instance.publicPort}`);
+        return instance;
+      }
+    } catch (error) {
+      log.error("Error checking pod status:", error);
+      pod = undefined;
+    }
+    if (config.cloudMode === "spot" && pod !== undefined && (!pod || pod.desiredStatus !== "RUNNING")) {
+      throw new PodPreemptedError(podId);
+    }
+    if (Date.now() >= deadline) {
+      throw new Error(`Pod ${podId} was not ready after ${config.podReadyTimeoutMinutes} minutes.`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10000));
+  }
+}
+
+/**
+ * stopRunPodInstance(graphqlClient, podId, config)
+ *
+ * Stops the pod using a GraphQL mutation.
+ */
+async function stopRunPodInstance(graphqlClient, podId, config) {
+  const POD_STOP_MUTATION = gql`
+    mutation PodStop($input: PodStopInput!) {
+      podStop(input: $input) {
+        id
+        desiredStatus
+      }
+    }
+  `;
+  const variables = { input: { podId } };
+  try {
+    const { data } = await debugGraphQLRequest(graphqlClient, POD_STOP_MUTATION, variables, config);
+    if (data.podStop && data.podStop.desiredStatus) {
+      log.info(`🛑 RunPod instance ${podId} stopped!`);
+    } else {
+      log.error("❌ Failed to stop RunPod instance.");
+    }
+  } catch (error) {
+    log.error("❌ Error stopping RunPod instance:", error);
+  }
+}
+
+/**
+ * terminateRunPodInstance(graphqlClient, podId, config)
+ *
+ * Terminates the pod using a GraphQL mutation, deleting its disk.
+ */
+async function terminateRunPodInstance(graphqlClient, podId, config) {
+  const POD_TERMINATE_MUTATION = gql`
+    mutation PodTerminate($input: PodTerminateInput!) {
+      podTerminate(input: $input)
+    }
+  `;
+  const variables = { input: { podId } };
+  try {
+    await debugGraphQLRequest(graphqlClient, POD_TERMINATE_MUTATION, variables, config);
+    log.info(`🗑️  RunPod instance ${podId} terminated!`);
+  } catch (error) {
+    log.error("❌ Error terminating RunPod instance:", error);
+  }
+}
+
+/**
+ * teardownPod(graphqlClient, podId, config)
+ *
+ * Stops or terminates the pod depending on config.teardownMode.
+ */
+async function teardownPod(graphqlClient, podId, config) {
+  if (config.teardownMode === "terminate") {
+    await terminateRunPodInstance(graphqlClient, podId, config);
+  } else {
+    await stopRunPodInstance(graphqlClient, podId, config);
+  }
+}
+
+/**
+ * listToolPods(graphqlClient, config)
+ *
+ * Returns the account's pods that were deployed by this tool (matched by config.podName).
+ */
+async function listToolPods(graphqlClient, config) {
+  const MY_PODS_QUERY = gql`
+    query MyPods {
+      myself {
+        pods {
+          id
+          name
+          desiredStatus
+          costPerHr
+          machine {
+            gpuDisplayName
+          }
+        }
+      }
+    }
+  `;
+  const { data } = await debugGraphQLRequest(graphqlClient, MY_PODS_QUERY, {}, config);
+  return data.myself.pods.filter((pod) => pod.name === config.podName);
+}
+
+/**
+ * findNetworkVolume(graphqlClient, config)
+ *
+ * Looks up the configured network volume by ID or name. Returns null if it doesn't exist.
+ */
+async function findNetworkVolume(graphqlClient, config) {
+  const NETWORK_VOLUMES_QUERY = gql`
+    query NetworkVolumes {
+      myself {
+        networkVolumes {
+          id
+          name
+          size
+          dataCenterId
+        }
+      }
+    }
+  `;
+  const { data } = await debugGraphQLRequest(graphqlClient, NETWORK_VOLUMES_QUERY, {}, config);
+  return data.myself.networkVolumes.find((candidate) =>
+    config.networkVolumeId ? candidate.id === config.networkVolumeId : candidate.name === config.networkVolumeName
+  ) || null;
+}
+
+/**
+ * ensureNetworkVolume(graphqlClient, config)
+ *
+ * Resolves the configured network volume, creating it when it is only known
+ * by name and does not exist yet. Returns the volume.
+ */
+async function ensureNetworkVolume(graphqlClient, config) {
+  const CREATE_NETWORK_VOLUME_MUTATION = gql`
+    mutation CreateNetworkVolume($input: CreateNetworkVolumeInput!) {
+      createNetworkVolume(input: $input) {
+        id
+        name
+        size
+        dataCenterId
+      }
+    }
+  `;
+  let volume = await findNetworkVolume(graphqlClient, config);
+  if (!volume && config.networkVolumeId) {
+    throw new Error(`Network volume ${config.networkVolumeId} not found.`);
+  }
+  if (!volume) {
+    if (!config.dataCenterId) {
+      throw new Error(`Network volume "${config.networkVolumeName}" does not exist; set dataCenterId to create it.`);
+    }
+    const variables = {
+      input: { name: config.networkVolumeName, size: config.networkVolumeSizeGb, dataCenterId: config.dataCenterId },
+    };
+    try {
+      const result = await debugGraphQLRequest(graphqlClient, CREATE_NETWORK_VOLUME_MUTATION, variables, config);
+      volume = result.data.createNetworkVolume;
+    } catch (error) {
+      throw new Error(`Error creating network volume: ${error.message}`, { cause: error });
+    }
+    log.info(`💽 Created network volume ${volume.name} (${volume.size}GB in ${volume.dataCenterId}). ID: ${volume.id}`);
+  } else {
+    log.info(`💽 Using network volume ${volume.name} (${volume.size}GB in ${volume.dataCenterId}). ID: ${volume.id}`);
+  }
+  return volume;
+}
+
+/**
+ * withNetworkVolume(journal, config)
+ *
+ * Returns config with the run's resolved network volume (journal.networkVolume)
+ * and its data center, so GPUs are looked up and deployed next to the volume.
+ */
+function withNetworkVolume(journal, config) {
+  if (!journal.networkVolume) {
+    return config;
+  }
+  return { ...config, networkVolumeId: journal.networkVolume.id, dataCenterId: journal.networkVolume.dataCenterId };
+}
+
+/**
+ * getPod(graphqlClient, podId, config)
+ *
+ * Returns the pod's current status, or null if the pod no longer exists.
+ */
+async function getPod(graphqlClient, podId, config) {
+  const POD_STATUS_QUERY = gql`
+    query PodStatus($podId: String!) {
+      pod(input: { podId: $podId }) {
+        id
+        name
+        desiredStatus
+      }
+    }
+  `;
+  const { data } = await debugGraphQLRequest(graphqlClient, POD_STATUS_QUERY, { podId }, config);
+  return data.pod || null;
+}
+
+/**
+ * isPodPreempted(graphqlClient, podId, config)
+ *
+ * Returns true if the pod is gone or no longer running.
+ */
+async function isPodPreempted(graphqlClient, podId, config) {
+  try {
+    const pod = await getPod(graphqlClient, podId, config);
+    return !pod || pod.desiredStatus !== "RUNNING";
+  } catch (error) {
+    log.error("Error checking pod status:", error);
+    return false;
+  }
+}
+
+/**
+ * resumeRunPodInstance(graphqlClient, podId, config, bidPerGpu)
+ *
+ * Starts a previously stopped pod again using a GraphQL mutation.
+ * Spot pods are resumed with a new bid.
+ */
+async function resumeRunPodInstance(graphqlClient, podId, config, bidPerGpu) {
+  const POD_RESUME_MUTATION = gql`
+    mutation PodResume($input: PodResumeInput!) {
+      podResume(input: $input) {
+        id
+        desiredStatus
+      }
+    }
+  `;
+  const POD_BID_RESUME_MUTATION = gql`
+    mutation PodBidResume($input: PodBidResumeInput!) {
+      podBidResume(input: $input) {
+        id
+        desiredStatus
+      }
+    }
+  `;
+  const isSpot = config.cloudMode === "spot";
+  const variables = isSpot
+    ? { input: { podId, gpuCount: config.gpuCount, bidPerGpu } }
+    : { input: { podId, gpuCount: config.gpuCount } };
+  try {
+    await debugGraphQLRequest(graphqlClient, isSpot ? POD_BID_RESUME_MUTATION : POD_RESUME_MUTATION, variables, config);
+    log.info(`▶️  RunPod instance ${podId} resumed!`);
+  } catch (error) {
+    throw new Error(`Error resuming RunPod instance: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * HostKeyMismatchError
+ *
+ * Thrown when a pod presents a different SSH host key than the one recorded
+ * for it in the journal.
+ */
+class HostKeyMismatchError extends Error {
+  constructor(podId, expected, actual) {
+    super(
+      `The SSH host key of pod ${podId} changed (expected ${expected}, got ${actual}). ` +
+      `Refusing to connect. If the pod was recreated, remove its entry from ssh.hostKeys in the journal.`
+    );
+    this.name = "HostKeyMismatchError";
+    this.podId = podId;
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+/**
+ * expandHome(filePath)
+ *
+ * Resolves a leading "~/" to the user's home directory.
+ */
+function expandHome(filePath) {
+  return filePath.startsWith("~/") ? path.join(os.homedir(), filePath.slice(2)) : filePath;
+}
+
+/**
+ * journalSsh(journal)
+ *
+ * Returns the journal's SSH state, { keyPath, hostKeys }, adding it to journals written before it existed.
+ */
+function journalSsh(journal) {
+  if (!journal.ssh) {
+    journal.ssh = { keyPath: null, hostKeys: {} };
+  }
+  return journal.ssh;
+}
+
+/**
+ * ensureEphemeralKey(journal, config)
+ *
+ * With sshKeyMode "ephemeral", generates the run's keypair unless the journal
+ * already has one, writing it next to the journal. Returns the public key to
+ * give to the pod, or null in the other modes.
+ */
+function ensureEphemeralKey(journal, config) {
+  if (config.sshKeyMode !== "ephemeral") {
+    return null;
+  }
+  const state = journalSsh(journal);
+  if (!state.keyPath) {
+    const keyPath = `${config.journalPath}.id_ed25519`;
+    const keys = sshUtils.generateKeyPairSync("ed25519", { comment: `${config.podName}-${Date.now()}` });
+    fs.outputFileSync(keyPath, keys.private, { mode: 0o600 });
+    fs.outputFileSync(`${keyPath}.pub`, `${keys.public}\n`);
+    state.keyPath = keyPath;
+    saveJournal(journal, config);
+    log.info(`🔑 Generated an SSH key for this run: ${keyPath}`);
+  }
+  return fs.readFileSync(`${state.keyPath}.pub`, "utf8").trim();
+}
+
+/**
+ * sshAuthOptions(journal, config)
+ *
+ * Returns the ssh2 options that authenticate with the configured private key,
+ * the ssh-agent or the run's ephemeral key.
+ */
+function sshAuthOptions(journal, config) {
+  if (config.sshKeyMode === "agent") {
+    if (!process.env.SSH_AUTH_SOCK) {
+      throw new Error(`sshKeyMode "agent" needs a running ssh-agent, but SSH_AUTH_SOCK is not set.`);
+    }
+    return { agent: process.env.SSH_AUTH_SOCK };
+  }
+  const keyPath = config.sshKeyMode === "ephemeral"
+    ? journal && journal.ssh && journal.ssh.keyPath
+    : expandHome(config.sshPrivateKeyPath);
+  if (!keyPath) {
+    throw new Error(`No ephemeral SSH key for this pod. Point --journalPath at the journal of the run that deployed it.`);
+  }
+  let privateKey;
+  try {
+    privateKey = fs.readFileSync(keyPath, "utf8");
+  } catch (error) {
+    throw new Error(`Cannot read SSH private key ${keyPath}: ${error.message}`, { cause: error });
+  }
+  return config.sshKeyMode === "file" && config.sshKeyPassphrase
+    ? { privateKey, passphrase: config.sshKeyPassphrase }
+    : { privateKey };
+}
+
+/**
+ * hostKeyFingerprint(key)
+ *
+ * Returns the OpenSSH-style SHA256 fingerprint of a raw host key.
+ */
+function hostKeyFingerprint(key) {
+  return `SHA256:${crypto.createHash("sha256").update(key).digest("base64").replace(/=+$/, "")}`;
+}
+
+/**
+ * sshConnectOptions(instance, username, journal, config, onMismatch)
+ *
+ * Returns the connection options for the pod: address, authentication and a
+ * host key check. The first host key seen for the journal's pod is recorded,
+ * later connections must present the same one; a different key is passed to
+ * onMismatch and the connection refused. Without a journal any key is accepted.
+ */
+function sshConnectOptions(instance, username, journal, config, onMismatch) {
+  return {
+    host: instance.ip,
+    port: instance.publicPort,
+    username,
+    ...sshAuthOptions(journal, config),
+    hostVerifier: (key) => {
+      if (!journal || !journal.podId) {
+        return true;
+      }
+      const hostKeys = journalSsh(journal).hostKeys;
+      const fingerprint = hostKeyFingerprint(key);
+      if (!hostKeys[journal.podId]) {
+        hostKeys[journal.podId] = fingerprint;
+        saveJournal(journal, config);
+        log.info(`🔏 Recorded host key of pod ${journal.podId}: ${fingerprint}`);
+      } else if (hostKeys[journal.podId] !== fingerprint) {
+        onMismatch(new HostKeyMismatchError(journal.podId, hostKeys[journal.podId], fingerprint));
+        return false;
+      }
+      return true;
+    },
+  };
+}
+
+/**
+ * connectSSH(instance, username, journal, config)
+ *
+ * Establishes and returns an SSH connection to the given pod, checking its
+ * host key against the journal.
+ */
+async function connectSSH(instance, username, journal, config) {
+  return new Promise((resolve, reject) => {
+    const ssh = new Client();
+    let mismatch = null;
+    const options = sshConnectOptions(instance, username, journal, config, (error) => {
+      mismatch = error;
+    });
+    ssh
+      .on("ready", () => {
+        log.info("🔗 SSH connection established.");
+        resolve(ssh);
+      })
+      .on("error", (err) => {
+        reject(mismatch || new Error(`SSH connection failed: ${err.message}`, { cause: err }));
+      })
+      .connect({
+        ...options,
+        // Notice a dead connection (e.g. a preempted pod) instead of hanging.
+        keepaliveInterval: 10000,
+        keepaliveCountMax: 3,
+      });
+  });
+}
+
+/**
+ * waitForSSH(instance, username, journal, config)
+ *
+ * Connects to a pod that has just become ready, retrying until its sshd
+ * accepts the connection or sshConnectTimeoutMinutes have passed. The pod
+ * reports its ports before sshd is listening and the key is installed.
+ */
+async function waitForSSH(instance, username, journal, config) {
+  // Fail right away on a missing key instead of retrying.
+  sshAuthOptions(journal, config);
+  const deadline = Date.now() + config.sshConnectTimeoutMinutes * 60000;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await connectSSH(instance, username, journal, config);
+    } catch (error) {
+      if (error instanceof HostKeyMismatchError || Date.now() >= deadline) {
+        throw error;
+      }
+      (attempt === 1 ? log.info : log.debug)(`⏳ Waiting for SSH on ${instance.ip}:${instance.publicPort} (${error.message})...`);
+      await new Promise((resolve) => setTimeout(resolve, 5000));
+    }
+  }
+}
+
+/**
+ * createScpClient(instance, username, journal, config)
+ *
+ * Opens an SCP client to the pod.
+ */
+async function createScpClient(instance, username, journal, config) {
+  let mismatch = null;
+  try {
+    return await new ScpClient(sshConnectOptions(instance, username, journal, config, (error) => {
+      mismatch = error;
+    }));
+  } catch (error) {
+    throw mismatch || error;
+  }
+}
+
+/**
+ * formatBytes(bytes)
+ *
+ * Formats a byte count for display, e.g. "12.3 MB".
+ */
+function formatBytes(bytes) {
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+/**
+ * formatDuration(seconds)
+ *
+ * Formats a duration for display, e.g. "1h 02m", "3m 05s".
+ */
+function formatDuration(seconds) {
+  const total = Math.max(0, Math.round(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+  if (hours > 0) {
+    return `${hours}h ${String(minutes).padStart(2, "0")}m`;
+  }
+  return `${minutes}m ${String(secs).padStart(2, "0")}s`;
+}
+
+/**
+ * createProgressBar(stage, label, total)
+ *
+ * Returns an update(done) function that reports byte progress of a stage as a
+ * single progress line with throughput and ETA, and a finish() function that
+ * ends the line. Without a TTY the line is printed at most every 10 seconds instead.
+ */
+function createProgressBar(stage, label, total) {
+  const startedAt = Date.now();
+  const interval = progressInline() ? 200 : 10000;
+  let lastRender = 0;
+  let done = 0;
+  const render = () => {
+    const elapsed = Math.max((Date.now() - startedAt) / 1000, 0.001);
+    const rate = done / elapsed;
+    const fraction = total > 0 ? Math.min(done / total, 1) : 1;
+    const width = 30;
+    const filled = Math.round(fraction * width);
+    const eta = rate > 0 ? (total - done) / rate : 0;
+    const line = `${label} ${"█".repeat(filled)}${"░".repeat(width - filled)} ${Math.round(fraction * 100)}% ` +
+      `${formatBytes(done)}/${formatBytes(total)} ${formatBytes(rate)}/s ETA ${formatDuration(eta)}`;
+    emitProgress({ stage, line, bytes: done, totalBytes: total, bytesPerSecond: rate, etaSeconds: eta });
+    lastRender = Date.now();
+  };
+  return {
+    update(value) {
+      done = value;
+      if (Date.now() - lastRender >= interval) {
+        render();
+      }
+    },
+    finish() {
+      render();
+      endProgress();
+    },
+  };
+}
+
+/**
+ * hashFile(file)
+ *
+ * Returns the SHA256 of a local file as hex, reading it as a stream.
+ */
+async function hashFile(file) {
+  const hash = crypto.createHash("sha256");
+  await new Promise((resolve, reject) => {
+    fs.createReadStream(file).on("data", (chunk) => hash.update(chunk)).on("end", resolve).on("error", reject);
+  });
+  return hash.digest("hex");
+}
+
+/**
+ * hashLocalFiles(localDir)
+ *
+ * Returns a manifest of every (non-hidden) file under localDir, keyed by its
+ * POSIX relative path, with its size and SHA256.
+ */
+async function hashLocalFiles(localDir) {
+  const manifest = {};
+  for (const file of listFiles(localDir)) {
+    const relative = path.relative(localDir, file).split(path.sep).join("/");
+    manifest[relative] = { size: fs.statSync(file).size, sha256: await hashFile(file) };
+  }
+  return manifest;
+}
+
+/**
+ * hashRemoteFiles(ssh, remoteDir, config)
+ *
+ * Returns { relativePath: sha256 } for every file under remoteDir on the pod
+ * (empty if the directory does not exist yet).
+ */
+async function hashRemoteFiles(ssh, remoteDir, config) {
+  const output = await captureCommand(
+    ssh,
+    `if [ -d ${remoteDir} ]; then cd ${remoteDir} && find . -type f -print0 | xargs -0 -r sha256sum; fi`,
+    config
+  );
+  const hashes = {};
+  output.split("\n").forEach((line) => {
+    const match = line.match(/^([0-9a-f]{64}) [ *]\.\/(.+)$/);
+    if (match) {
+      hashes[match[2]] = match[1];
+    }
+  });
+  return hashes;
+}
+
+/**
+ * extractArchiveCommand(remoteDir)
+ *
+ * Returns the command that unpacks the gzipped tar streamed to its stdin into remoteDir.
+ */
+function extractArchiveCommand(remoteDir) {
+  return `mkdir -p ${remoteDir} && tar -xzf - -C ${remoteDir}`;
+}
+
+/**
+ * uploadDataset(ssh, localDatasetPath, remoteDatasetPath, config)
+ *
+ * Uploads the local dataset directory to the pod as a gzipped tar stream over
+ * the SSH connection. Files whose checksum already matches on the pod (a reused
+ * pod or volume, or an interrupted upload) are skipped, files that no longer
+ * exist locally are removed, and every file is verified by checksum afterwards.
+ */
+async function uploadDataset(ssh, localDatasetPath, remoteDatasetPath, config) {
+  log.info("📤 Uploading dataset...");
+  try {
+    const manifest = await hashLocalFiles(localDatasetPath);
+    const remoteHashes = await hashRemoteFiles(ssh, remoteDatasetPath, config);
+    const changed = Object.keys(manifest).filter((file) => remoteHashes[file] !== manifest[file].sha256);
+    // A generated dataset config is uploaded on its own, after the dataset.
+    const stale = Object.keys(remoteHashes).filter(
+      (file) => !manifest[file] && file !== config.datasetConfigFile && !file.split("/").some((part) => part.startsWith("."))
+    );
+    const skipped = Object.keys(manifest).length - changed.length;
+    log.info(`   ${changed.length} file(s) to upload, ${skipped} unchanged, ${stale.length} to remove.`);
+
+    if (stale.length > 0) {
+      const list = Readable.from([stale.join("\0")]);
+      await streamToCommand(ssh, `cd ${shellQuote(remoteDatasetPath)} && xargs -0 rm -f --`, list, config);
+    }
+
+    if (changed.length > 0) {
+      // Images are already compressed, so a fast gzip level is enough to shrink captions and tar headers.
+      const totalBytes = changed.reduce((sum, file) => sum + manifest[file].size + 512, 0);
+      const progress = createProgressBar("uploadDataset", "   Uploading", totalBytes);
+      let sentBytes = 0;
+      const counter = new Transform({
+        transform(chunk, encoding, callback) {
+          sentBytes += chunk.length;
+          progress.update(sentBytes);
+          callback(null, chunk);
+        },
+      });
+      // A failing stream destroys the gzip stream with its error, which ends the upload.
+      const archive = pipeline(createTar({ cwd: localDatasetPath, portable: true }, changed), counter, zlib.createGzip({ level: 1 }), () => {});
+      await streamToCommand(ssh, extractArchiveCommand(remoteDatasetPath), archive, config);
+      progress.update(totalBytes);
+      progress.finish();
+    }
+
+    const verified = await hashRemoteFiles(ssh, remoteDatasetPath, config);
+    const mismatched = Object.keys(manifest).filter((file) => verified[file] !== manifest[file].sha256);
+    if (mismatched.length > 0) {
+      throw new Error(`${mismatched.length} file(s) failed checksum verification on the pod, e.g. ${mismatched[0]}`);
+    }
+    log.info(`✅ Dataset uploaded and verified (${Object.keys(manifest).length} files)!`);
+  } catch (error) {
+    throw new Error(`Dataset upload failed: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * prepareDatasetConfig(config)
+ *
+ * Generates the sd-scripts dataset config from the kohya-style folders in
+ * localDatasetPath (see convert.js) into localOutputDir, unless the dataset
+ * has a config of its own. Returns the generated file, or null.
+ */
+function prepareDatasetConfig(config) {
+  const userConfigPath = path.join(config.localDatasetPath, config.datasetConfigFile);
+  if (fs.existsSync(userConfigPath)) {
+    log.info(`📄 Using dataset config ${userConfigPath}`);
+    return null;
+  }
+  const resolution = config.training.resolution || RECIPES[config.recipe].resolution;
+  let datasetConfig;
+  try {
+    datasetConfig = buildDatasetConfig(config.localDatasetPath, {
+      imageRoot: config.remoteDatasetPath,
+      resolution,
+      batchSize: config.training.batchSize,
+      maxBucketReso: resolution * 2,
+    });
+  } catch (error) {
+    throw new Error(`Failed to generate dataset config: ${error.message}`, { cause: error });
+  }
+  // Regenerated on every run, so added, renamed and removed folders are picked up.
+  const localConfigPath = path.join(config.localOutputDir, config.datasetConfigFile);
+  fs.outputFileSync(localConfigPath, TOML.stringify(datasetConfig), "utf8");
+  log.info(`📄 Generated dataset config ${localConfigPath} (${datasetConfig.datasets[0].subsets.length} subsets)`);
+  return localConfigPath;
+}
+
+/**
+ * runRemote(ssh, command, config, options)
+ *
+ * Runs a command over the given SSH connection, logging it at debug level.
+ * options.stdin, a string or readable stream, is piped into the command, and
+ * the decoded output is passed to options.onOutput(text, isStderr). Rejects
+ * with a RemoteCommandError if the command exits with a non-zero code or runs
+ * longer than options.timeoutMs, in which case it is killed, and with the
+ * stream's error if stdin fails.
+ */
+async function runRemote(ssh, command, config, { stdin = null, onOutput = () => {}, timeoutMs = null } = {}) {
+  log.debug("Executing SSH command:", command);
+  return new Promise((resolve, reject) => {
+    ssh.exec(command, (err, channel) => {
+      if (err) {
+        return reject(new Error(`SSH command failed: ${err.message}`, { cause: err }));
+      }
+      // Decode across chunks so multi-byte characters split between them stay intact.
+      const stdout = new StringDecoder("utf8");
+      const stderr = new StringDecoder("utf8");
+      let stderrTail = "";
+      let inputError = null;
+      let timedOut = false;
+      const timer = timeoutMs
+        ? setTimeout(() => {
+          timedOut = true;
+          channel.signal("KILL");
+          channel.close();
+        }, timeoutMs)
+        : null;
+      const output = (text, isStderr) => {
+        if (isStderr) {
+          // Only the tail is reported on failure, so don't keep more than that around.
+          stderrTail = (stderrTail + text).slice(-8192);
+        }
+        if (text) {
+          onOutput(text, isStderr);
+        }
+      };
+      channel
+        .on("close", (code, signal) => {
+          clearTimeout(timer);
+          output(stdout.end(), false);
+          output(stderr.end(), true);
+          log.debug(`SSH command completed (code ${code}${signal ? `, signal ${signal}` : ""}).`);
+          if (inputError) {
+            reject(inputError);
+            return;
+          }
+          if (code === 0 && !timedOut) {
+            resolve();
+            return;
+          }
+          const tail = stderrTail.trim().split(/\r|\n/).slice(-20).join("\n");
+          reject(new RemoteCommandError(redactSecrets(command, config), { code, signal, timedOut, stderrTail: tail }));
+        })
+        .on("data", (data) => output(stdout.write(data), false))
+        .stderr.on("data", (data) => output(stderr.write(data), true));
+      if (stdin !== null) {
+        // Any failing stream, e.g. an unreadable dataset file in the archive, closes the channel.
+        pipeline(typeof stdin === "string" ? Readable.from([stdin]) : stdin, channel, (error) => {
+          if (error) {
+            inputError = inputError || error;
+            channel.close();
+          }
+        });
+      }
+    });
+  });
+}
+
+/**
+ * executeCommand(ssh, command, config, options)
+ *
+ * Runs a command over SSH (see runRemote). Output is printed, or passed to
+ * options.onOutput(text, isStderr) when given.
+ */
+async function executeCommand(ssh, command, config, { stdin, onOutput, timeoutMs } = {}) {
+  const print = (text, isStderr) => (isStderr ? log.error(text) : log.info(text));
+  return runRemote(ssh, command, config, { stdin, onOutput: onOutput || print, timeoutMs });
+}
+
+/**
+ * captureCommand(ssh, command, config)
+ *
+ * Runs a command over SSH (see runRemote) and returns its stdout. Commands
+ * that may fail harmlessly need their own "|| true".
+ */
+async function captureCommand(ssh, command, config) {
+  let stdout = "";
+  await runRemote(ssh, command, config, {
+    onOutput: (text, isStderr) => (isStderr ? log.debug(text.trimEnd()) : (stdout += text)),
+  });
+  return stdout;
+}
+
+/**
+ * streamToCommand(ssh, command, source, config)
+ *
+ * Runs a command over SSH (see runRemote) with a readable stream piped into its stdin.
+ */
+async function streamToCommand(ssh, command, source, config) {
+  return runRemote(ssh, command, config, { stdin: source });
+}
+
+/**
+ * hasNetworkVolume(config)
+ *
+ * Returns true if the pod's volumeMountPath is a network volume that outlives the pod.
+ */
+function hasNetworkVolume(config) {
+  return Boolean(config.networkVolumeId || config.networkVolumeName);
+}
+
+/**
+ * pythonEnvCommand(config)
+ *
+ * Returns the shell prefix that selects the Python environment. With a network
+ * volume, packages go into a venv (and pip cache) on the volume so they survive
+ * the pod; otherwise the image's system Python is used.
+ */
+function pythonEnvCommand(config) {
+  if (!hasNetworkVolume(config)) {
+    return "";
+  }
+  return `source ${config.volumeMountPath}/venv/bin/activate && export PIP_CACHE_DIR=${config.volumeMountPath}/.cache/pip && `;
+}
+
+/**
+ * cloneSdScripts(ssh, config)
+ *
+ * Clones the sd-scripts branch the recipe needs into the volume mount path,
+ * or checks out that branch in a checkout already on the volume.
+ */
+async function cloneSdScripts(ssh, config) {
+  log.info(`📥 Cloning sd-scripts repository (${RECIPES[config.recipe].branch} branch)...`);
+  await executeCommand(ssh, cloneSdScriptsCommand(config), config, { timeoutMs: stageTimeoutMs("cloneSdScripts", config) });
+}
+
+/**
+ * cloneSdScriptsCommand(config)
+ *
+ * Returns the command cloneSdScripts runs on the pod.
+ */
+function cloneSdScriptsCommand(config) {
+  const recipe = RECIPES[config.recipe];
+  const checkout = `${config.volumeMountPath}/sd-scripts`;
+  return `if [ -d ${checkout}/.git ]; then
+      echo "sd-scripts already present, checking out ${recipe.branch}" &&
+      git -C ${checkout} fetch -q origin ${recipe.branch} &&
+      git -C ${checkout} checkout -q ${recipe.branch} &&
+      git -C ${checkout} merge -q --ff-only FETCH_HEAD;
+    else
+      git clone -b ${recipe.branch} https://github.com/kohya-ss/sd-scripts.git ${checkout};
+    fi`;
+}
+
+/**
+ * installPythonRequirements(ssh, config)
+ *
+ * Installs the Python requirements for the sd-scripts repository, with the
+ * torch build the recipe needs and LyCORIS for LyCORIS recipes. With a network
+ * volume the install goes into the volume's venv and is skipped when a marker
+ * shows the same packages and requirements.txt were already installed there.
+ */
+async function installPythonRequirements(ssh, config) {
+  log.info("📦 Installing Python requirements...");
+  await executeCommand(ssh, installPythonRequirementsCommand(config), config, {
+    timeoutMs: stageTimeoutMs("installPythonRequirements", config),
+  });
+}
+
+/**
+ * installPythonRequirementsCommand(config)
+ *
+ * Returns the command installPythonRequirements runs on the pod.
+ */
+function installPythonRequirementsCommand(config) {
+  const recipe = RECIPES[config.recipe];
+  const steps = [
+    `pip install ${recipe.torch.packages} --index-url ${recipe.torch.indexUrl}`,
+    "pip install --upgrade -r requirements.txt",
+    `pip install ${recipe.torch.xformers} --index-url ${recipe.torch.indexUrl}`,
+  ];
+  if (recipe.lycoris) {
+    steps.push("pip install lycoris_lora");
+  }
+  let command = `cd ${config.volumeMountPath}/sd-scripts &&\n    ${steps.join(" &&\n    ")}`;
+  if (hasNetworkVolume(config)) {
+    const venv = `${config.volumeMountPath}/venv`;
+    const packagesHash = crypto.createHash("sha256").update(steps.join("\n")).digest("hex").slice(0, 12);
+    command = `cd ${config.volumeMountPath}/sd-scripts &&
+    MARKER=${venv}/.installed-${packagesHash}-$(sha256sum requirements.txt | cut -c1-12) &&
+    if [ -f "$MARKER" ]; then echo "Python requirements already installed in ${venv}"; else
+      { [ -d ${venv} ] || python -m venv ${venv}; } &&
+      ${pythonEnvCommand(config)}${steps.join(" &&\n      ")} &&
+      rm -f ${venv}/.installed-* && touch "$MARKER";
+    fi`;
+  }
+  return command;
+}
+
+/**
+ * buildTrainingConfig(config)
+ *
+ * Generates the sd-scripts training config (as an object) for the configured
+ * recipe and hyperparameters, pointing at the downloaded base model.
+ */
+function buildTrainingConfig(config) {
+  const recipe = RECIPES[config.recipe];
+  const training = config.training;
+  const resolution = training.resolution || recipe.resolution;
+  const trainingConfig = {
+    pretrained_model_name_or_path: resolveModelSource(config.modelPath, config).remotePath,
+    dataset_config: `${config.remoteDatasetPath}/${config.datasetConfigFile}`,
+    output_dir: config.trainOutputDir,
+    output_name: training.outputName,
+    save_model_as: "safetensors",
+    save_every_n_epochs: config.saveEveryNEpochs,
+    network_module: recipe.networkModule,
+    network_dim: training.networkDim,
+    network_alpha: training.networkAlpha,
+    learning_rate: training.learningRate,
+    max_train_epochs: training.epochs,
+    train_batch_size: training.batchSize,
+    resolution: `${resolution},${resolution}`,
+    enable_bucket: true,
+    caption_extension: ".txt",
+    optimizer_type: training.optimizer,
+    lr_scheduler: training.lrScheduler,
+    mixed_precision: training.mixedPrecision,
+    save_precision: training.mixedPrecision,
+    cache_latents: true,
+    gradient_checkpointing: true,
+    xformers: true,
+  };
+  if (recipe.networkArgs) {
+    trainingConfig.network_args = recipe.networkArgs;
+  }
+  if (training.unetLr) {
+    trainingConfig.unet_lr = training.unetLr;
+  }
+  if (training.textEncoderLr) {
+    trainingConfig.text_encoder_lr = training.textEncoderLr;
+  }
+  (recipe.auxModels || []).forEach((key) => {
+    trainingConfig[AUX_MODEL_ARGS[key]] = resolveModelSource(modelSpec(training[key]).path, config).remotePath;
+  });
+  if (config.cloudMode === "spot") {
+    trainingConfig.save_state = true;
+  }
+  if (training.samplePrompts.length > 0) {
+    trainingConfig.sample_prompts = `${config.volumeMountPath}/sample_prompts.txt`;
+    trainingConfig.sample_every_n_epochs = training.sampleEveryNEpochs;
+    trainingConfig.sample_sampler = training.sampleSampler;
+  }
+  return { ...trainingConfig, ...(recipe.args || {}), ...training.extraArgs };
+}
+
+/**
+ * buildSamplePrompts(config)
+ *
+ * Returns the sd-scripts sample prompt file for training.samplePrompts, one
+ * prompt per line with its options as --n, --w, --h, --d, --l and --s flags.
+ */
+function buildSamplePrompts(config) {
+  const resolution = config.training.resolution || RECIPES[config.recipe].resolution;
+  const flags = { negativePrompt: "n", width: "w", height: "h", seed: "d", cfgScale: "l", steps: "s" };
+  return config.training.samplePrompts.map((sample) => {
+    const options = { width: resolution, height: resolution, ...(typeof sample === "string" ? { prompt: sample } : sample) };
+    let line = options.prompt.replace(/\s+/g, " ").trim();
+    for (const [key, flag] of Object.entries(flags)) {
+      if (options[key] !== undefined && options[key] !== null && options[key] !== "") {
+        line += ` --${flag} ${String(options[key]).replace(/\s+/g, " ")}`;
+      }
+    }
+    return `${line}\n`;
+  }).join("");
+}
+
+/**
+ * trainingConfigPath(config)
+ *
+ * Returns where the training config is written on the pod.
+ */
+function trainingConfigPath(config) {
+  return `${config.volumeMountPath}/training_config.toml`;
+}
+
+/**
+ * writeTrainingConfig(ssh, config)
+ *
+ * Writes the generated training config and sample prompts to the pod (and
+ * copies to localOutputDir) and returns the config's remote path.
+ */
+async function writeTrainingConfig(ssh, config) {
+  const tomlString = TOML.stringify(buildTrainingConfig(config));
+  const remoteConfigPath = trainingConfigPath(config);
+  fs.outputFileSync(path.join(config.localOutputDir, "training_config.toml"), tomlString);
+  await executeCommand(ssh, `cat > ${remoteConfigPath} << 'EOF_TOML'\n${tomlString}EOF_TOML`, config);
+  if (config.training.samplePrompts.length > 0) {
+    const prompts = buildSamplePrompts(config);
+    fs.outputFileSync(path.join(config.localOutputDir, "sample_prompts.txt"), prompts);
+    await executeCommand(ssh, `cat > ${config.volumeMountPath}/sample_prompts.txt << 'EOF_PROMPTS'\n${prompts}EOF_PROMPTS`, config);
+  }
+  return remoteConfigPath;
+}
+
+/**
+ * trainingCommand(remoteConfigPath, resumeStatePath, config)
+ *
+ * Returns the accelerate launch command of the recipe's training script.
+ */
+function trainingCommand(remoteConfigPath, resumeStatePath, config) {
+  let trainingArgs = `--config_file=${remoteConfigPath}`;
+  if (resumeStatePath) {
+    trainingArgs += ` --resume=${resumeStatePath}`;
+  }
+  const launchArgs = config.gpuCount > 1 ? `--multi_gpu --num_processes=${config.gpuCount}` : "--num_processes=1";
+  return `${pythonEnvCommand(config)}cd ${config.volumeMountPath}/sd-scripts &&
+    accelerate launch ${launchArgs} ${RECIPES[config.recipe].script} ${trainingArgs}`;
+}
+
+/**
+ * launchTraining(ssh, remoteDatasetPath, trainOutputDir, remoteModelsPath, config, resumeStatePath, journal)
+ *
+ * Launches the LoRA training process using the recipe's sd-scripts entry point
+ * and a generated training config. In spot mode sd-scripts also saves resumable
+ * state, and resumeStatePath continues training from a previously saved state.
+ * Training runs detached on the pod, so if the journal's job (or the pod's
+ * latest job) is still running or has finished it is followed instead of
+ * launched again. Output is followed by a training monitor (progress line and
+ * metrics file).
+ */
+async function launchTraining(ssh, remoteDatasetPath, trainOutputDir, remoteModelsPath, config, resumeStatePath, journal) {
+  if (!journal.training) {
+    // Never start a second training next to one that is still running.
+    const latest = await findLatestTrainingJob(ssh, config);
+    if (latest && (latest.status.state === "running" || (journal.adoptLatestJob && latest.status.state === "exited"))) {
+      journal.training = { id: latest.id, pid: latest.status.pid, launchedAt: null, logOffset: 0 };
+      saveJournal(journal, config);
+    }
+  }
+  const status = journal.training
+    ? await getTrainingJobStatus(ssh, trainingJobDir(journal.training.id, config), config)
+    : { state: "missing" };
+
+  if (status.state === "missing") {
+    log.info(resumeStatePath ? `🚀 Resuming LoRA training from ${resumeStatePath}...` : `🚀 Launching LoRA training (${config.recipe})...`);
+    const remoteConfigPath = await writeTrainingConfig(ssh, config);
+    const id = new Date().toISOString().replace(/[:.]/g, "-");
+    const pid = await startTrainingJob(ssh, id, trainingCommand(remoteConfigPath, resumeStatePath, config), config);
+    journal.training = { id, pid, launchedAt: new Date().toISOString(), logOffset: 0 };
+    saveJournal(journal, config);
+    log.info(`🔌 Training runs detached on the pod (job ${id}). If this connection drops, run "attach" to follow it again.`);
+    notify("trainingStarted", { recipe: config.recipe, trainingJob: id, resumedFrom: resumeStatePath || null }, config);
+  } else {
+    log.info(`🔗 Following training job ${journal.training.id} (${status.state === "running" ? "running" : "finished"})...`);
+  }
+
+  const monitor = createTrainingMonitor(journal, config);
+  let result;
+  try {
+    result = await followTrainingJob(journal, config, monitor.write);
+  } finally {
+    monitor.finish();
+  }
+  if (result.state !== "exited") {
+    throw new Error(`Training job ${journal.training.id} ended without recording an exit status. Run "logs" to see its output.`);
+  }
+  if (result.exitCode !== 0) {
+    const logTail = await captureCommand(activeRun().ssh, `tail -n 20 ${trainingJobDir(journal.training.id, config)}/train.log || true`, config);
+    throw new RemoteCommandError(`accelerate launch ${RECIPES[config.recipe].script}`, { code: result.exitCode, stderrTail: logTail.trim() });
+  }
+}
+
+/**
+ * modelSpecs(config)
+ *
+ * Returns the model files a run needs: the base model and the recipe's text encoder/VAE files.
+ */
+function modelSpecs(config) {
+  return [
+    { path: config.modelPath, sha256: config.modelSha256 },
+    ...(RECIPES[config.recipe].auxModels || []).map((key) => modelSpec(config.training[key])),
+  ];
+}
+
+/**
+ * downloadModel(ssh, config)
+ *
+ * Downloads the base model, plus any text encoder/VAE files the recipe needs,
+ * into the remote models directory. Files already on the pod (or its volume)
+ * with a matching checksum are not downloaded again.
+ */
+async function downloadModel(ssh, config) {
+  const specs = modelSpecs(config);
+  await executeCommand(ssh, `mkdir -p ${config.trainOutputDir} ${config.remoteModelsPath}`, config);
+  for (const spec of specs) {
+    const source = resolveModelSource(spec.path, config);
+    log.info(`📥 Fetching model ${spec.path} (${source.kind})...`);
+    await executeCommand(ssh, modelDownloadCommand(source, spec.sha256), config, {
+      stdin: modelDownloadInput(source),
+      timeoutMs: stageTimeoutMs("downloadModel", config),
+    });
+  }
+}
+
+/**
+ * downloadOutput(instance, username, trainOutputDir, localOutputDir, journal, config)
+ *
+ * Downloads the training output from the pod to a local directory.
+ */
+async function downloadOutput(instance, username, trainOutputDir, localOutputDir, journal, config) {
+  log.info("📥 Downloading output...");
+  log.debug(`Executing SCP download: ${username}@${instance.ip}:${trainOutputDir} -> ${localOutputDir}`);
+  try {
+    const client = await createScpClient(instance, username, journal, config);
+    await client.downloadDir(trainOutputDir, localOutputDir);
+    log.info("✅ Output downloaded!");
+  } catch (error) {
+    throw new Error(`Output download failed: ${error.message}`, { cause: error });
+  }
+}
+
+// ---------------------------------------------------------------------
+// Model Sources
+// ---------------------------------------------------------------------
+// A model source is written as one of:
+//   owner/repo                        Hugging Face repo (diffusers folder)
+//   owner/repo/path/file.safetensors  single file from a Hugging Face repo (hf: prefix optional)
+//   civitai:<modelVersionId>          Civitai model version
+//   https://...                       direct URL
+//   s3://bucket/key                   S3 or S3-compatible object (presigned when credentials are set)
+
+/**
+ * modelSpec(value)
+ *
+ * Normalizes a model setting, either a source string or { path, sha256 }.
+ */
+function modelSpec(value) {
+  return typeof value === "string" ? { path: value, sha256: null } : { sha256: null, ...value };
+}
+
+/**
+ * shellQuote(value)
+ *
+ * Quotes a value for use as a single shell word.
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * encodeRfc3986(value)
+ *
+ * URI-encodes a value the way AWS Signature Version 4 expects.
+ */
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * presignS3Url(method, bucket, key, s3Config, expiresSeconds)
+ *
+ * Returns a path-style URL for an S3 object, signed with AWS Signature
+ * Version 4 query parameters when s3Config has credentials.
+ */
+function presignS3Url(method, bucket, key, s3Config, expiresSeconds = 3600) {
+  const endpoint = new URL(s3Config.endpoint || `https://s3.${s3Config.region}.amazonaws.com`);
+  const canonicalUri = `${endpoint.pathname.replace(/\/$/, "")}/${bucket}/${key.split("/").map(encodeRfc3986).join("/")}`;
+  const baseUrl = `${endpoint.protocol}//${endpoint.host}${canonicalUri}`;
+  if (!s3Config.accessKeyId || !s3Config.secretAccessKey) {
+    return baseUrl;
+  }
+  const amzDate = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  const date = amzDate.slice(0, 8);
+  const scope = `${date}/${s3Config.region}/s3/aws4_request`;
+  const query = {
+    "X-Amz-Algorithm": "AWS4-HMAC-SHA256",
+    "X-Amz-Credential": `${s3Config.accessKeyId}/${scope}`,
+    "X-Amz-Date": amzDate,
+    "X-Amz-Expires": String(expiresSeconds),
+    "X-Amz-SignedHeaders": "host",
+  };
+  const canonicalQuery = Object.keys(query)
+    .sort()
+    .map((name) => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+    .join("&");
+  const canonicalRequest = [method, canonicalUri, canonicalQuery, `host:${endpoint.host}\n`, "host", "UNSIGNED-PAYLOAD"].join("\n");
+  const stringToSign = [
+    "AWS4-HMAC-SHA256",
+    amzDate,
+    scope,
+    crypto.createHash("sha256").update(canonicalRequest).digest("hex"),
+  ].join("\n");
+  const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+  const signingKey = ["s3", "aws4_request"].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${s3Config.secretAccessKey}`, date), s3Config.region)
+  );
+  const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+  return `${baseUrl}?${canonicalQuery}&X-Amz-Signature=${signature}`;
+}
+
+/**
+ * resolveModelSource(spec, config)
+ *
+ * Works out where a model source is downloaded from and where it ends up on
+ * the pod. Returns { kind, url, headers, remotePath }, or { kind, repoId, token, remotePath }
+ * for a whole Hugging Face repo.
+ */
+function resolveModelSource(spec, config) {
+  const fileName = (url) => path.posix.basename(new URL(url).pathname);
+  const hfHeaders = config.hfToken ? [`Authorization: Bearer ${config.hfToken}`] : [];
+
+  if (/^civitai:\d+$/.test(spec)) {
+    const versionId = spec.slice("civitai:".length);
+    return {
+      kind: "civitai",
+      url: `https://civitai.com/api/download/models/${versionId}`,
+      headers: config.civitaiToken ? [`Authorization: Bearer ${config.civitaiToken}`] : [],
+      remotePath: `${config.remoteModelsPath}/civitai-${versionId}.safetensors`,
+    };
+  }
+  if (spec.startsWith("s3://")) {
+    const [bucket, ...keyParts] = spec.slice("s3://".length).split("/");
+    const key = keyParts.join("/");
+    return {
+      kind: "s3",
+      url: presignS3Url("GET", bucket, key, config.s3),
+      headers: [],
+      remotePath: `${config.remoteModelsPath}/${path.posix.basename(key)}`,
+    };
+  }
+  if (/^https?:\/\//.test(spec)) {
+    return {
+      kind: "url",
+      url: spec,
+      headers: new URL(spec).hostname === "huggingface.co" ? hfHeaders : [],
+      remotePath: `${config.remoteModelsPath}/${fileName(spec)}`,
+    };
+  }
+  const parts = spec.replace(/^hf:/, "").split("/");
+  if (parts.length < 2 || parts.some((part) => !part)) {
+    throw new Error(`Unrecognized model source "${spec}".`);
+  }
+  const repoId = `${parts[0]}/${parts[1]}`;
+  if (parts.length === 2) {
+    return {
+      kind: "huggingface-repo",
+      repoId,
+      token: config.hfToken,
+      headers: [],
+      remotePath: `${config.remoteModelsPath}/${parts[0]}--${parts[1]}`,
+    };
+  }
+  const filePath = parts.slice(2).join("/");
+  return {
+    kind: "huggingface-file",
+    url: `https://huggingface.co/${repoId}/resolve/main/${filePath}`,
+    headers: hfHeaders,
+    remotePath: `${config.remoteModelsPath}/${parts[parts.length - 1]}`,
+  };
+}
+
+/**
+ * isHuggingFaceRepoSource(spec)
+ *
+ * Tells whether a model source names a whole Hugging Face repo (a diffusers
+ * folder) rather than a single file.
+ */
+function isHuggingFaceRepoSource(spec) {
+  return !/^(civitai:|s3:\/\/|https?:\/\/)/.test(spec) && spec.replace(/^hf:/, "").split("/").length === 2;
+}
+
+/**
+ * modelDownloadCommand(source, sha256)
+ *
+ * Returns the shell command that fetches a resolved model source unless it is
+ * already present, and verifies its SHA256 when one is given. Tokens are not
+ * part of the command, which any process on the pod can see; they are read
+ * from stdin, see modelDownloadInput.
+ */
+function modelDownloadCommand(source, sha256) {
+  const target = shellQuote(source.remotePath);
+  if (source.kind === "huggingface-repo") {
+    // A repo is only complete once huggingface-cli finished, which the marker records.
+    const marker = shellQuote(`${source.remotePath}/.download-complete`);
+    return [
+      `if [ -f ${marker} ]; then echo "Model already present: ${source.remotePath}"; else`,
+      ...(source.token ? ["  IFS= read -r HF_TOKEN && export HF_TOKEN &&"] : []),
+      `  pip install -q "huggingface_hub[cli]" &&`,
+      `  huggingface-cli download ${shellQuote(source.repoId)} --local-dir ${target} --exclude "*.ckpt" "*.bin" "*.msgpack" "*.onnx*" &&`,
+      `  touch ${marker};`,
+      "fi",
+    ].join("\n");
+  }
+  // curl reads the headers from stdin and drops Authorization on redirects to other hosts, e.g. Civitai's CDN.
+  const headers = source.headers.length > 0 ? " -K -" : "";
+  const checksum = sha256 ? `echo ${shellQuote(`${sha256.toLowerCase()}  ${source.remotePath}`)} | sha256sum -c --status -` : "true";
+  return [
+    `if [ -f ${target} ] && ${checksum}; then echo "Model already present: ${source.remotePath}"; else`,
+    `  rm -f ${target} &&`,
+    `  curl -fsSL --retry 3${headers} -o ${target}.part ${shellQuote(source.url)} &&`,
+    `  mv ${target}.part ${target} &&`,
+    `  { ${checksum} || { echo "SHA256 mismatch for ${source.remotePath}" >&2; rm -f ${target}; exit 1; }; };`,
+    "fi",
+  ].join("\n");
+}
+
+/**
+ * modelDownloadInput(source)
+ *
+ * Returns what modelDownloadCommand reads from stdin: the Hugging Face token
+ * of a repo, or the curl config with the request headers. Null if nothing.
+ */
+function modelDownloadInput(source) {
+  if (source.kind === "huggingface-repo") {
+    return source.token ? `${source.token}\n` : null;
+  }
+  if (source.headers.length === 0) {
+    return null;
+  }
+  return source.headers.map((header) => `header = "${header.replace(/["\\]/g, "\\$&")}"\n`).join("");
+}
+
+// ---------------------------------------------------------------------
+// Training Progress
+// ---------------------------------------------------------------------
+// sd-scripts reports progress through tqdm on stderr, e.g.
+//   epoch 2/10
+//   steps:  12%|█▏        | 120/1000 [01:23<10:12,  1.44it/s, avr_loss=0.0912]
+// These are turned into structured events, shown as a single progress line
+// and appended to localOutputDir/metrics.jsonl.
+
+/**
+ * parseTrainingLine(line)
+ *
+ * Parses one line of sd-scripts output into an event, or returns null.
+ *   { type: "epoch", epoch, totalEpochs }
+ *   { type: "step", step, totalSteps, itPerSec, avgLoss, loss, lr }
+ */
+function parseTrainingLine(line) {
+  const epochMatch = line.match(/^\s*epoch (\d+)\/(\d+)\s*$/);
+  if (epochMatch) {
+    return { type: "epoch", epoch: Number(epochMatch[1]), totalEpochs: Number(epochMatch[2]) };
+  }
+  const stepMatch = line.match(/steps:\s*\d+%\|.*?\|\s*(\d+)\/(\d+)\s*\[([^\]]*)\]/);
+  if (!stepMatch) {
+    return null;
+  }
+  const event = { type: "step", step: Number(stepMatch[1]), totalSteps: Number(stepMatch[2]) };
+  const details = stepMatch[3];
+  const rate = details.match(/([\d.]+)(it\/s|s\/it)/);
+  if (rate) {
+    event.itPerSec = rate[2] === "it/s" ? Number(rate[1]) : 1 / Number(rate[1]);
+  }
+  const fields = { avr_loss: "avgLoss", loss: "loss", lr: "lr" };
+  for (const [key, name] of Object.entries(fields)) {
+    const value = details.match(new RegExp(`\\b${key}=([-+\\d.e]+)`));
+    if (value) {
+      event[name] = Number(value[1]);
+    }
+  }
+  return event;
+}
+
+/**
+ * createTrainingMonitor(journal, config)
+ *
+ * Returns { write(text, isStderr), finish() }. write() takes raw training
+ * output, tracks progress, reports it as launchTraining progress (epoch, step,
+ * loss, speed, ETA and running cost) and records each new step in the metrics
+ * file. Lines that are not progress are logged as they are.
+ */
+function createTrainingMonitor(journal, config) {
+  const metricsPath = path.join(config.localOutputDir, "metrics.jsonl");
+  fs.ensureDirSync(config.localOutputDir);
+  const state = { epoch: null, totalEpochs: null, lastStep: null, lastEvent: null };
+  const interval = progressInline() ? 500 : 30000;
+  let lastRender = 0;
+  let buffer = "";
+
+  const render = (event) => {
+    const parts = [];
+    if (state.epoch) {
+      parts.push(`epoch ${state.epoch}/${state.totalEpochs}`);
+    }
+    parts.push(`step ${event.step}/${event.totalSteps} (${Math.floor((event.step / event.totalSteps) * 100)}%)`);
+    if (event.avgLoss !== undefined) {
+      parts.push(`loss ${event.avgLoss.toFixed(4)}`);
+    }
+    if (event.itPerSec) {
+      parts.push(`${event.itPerSec.toFixed(2)} it/s`);
+      parts.push(`ETA ${formatDuration((event.totalSteps - event.step) / event.itPerSec)}`);
+    }
+    const costUsd = journal && journal.gpu ? estimateRunCost(journal) : null;
+    if (costUsd !== null) {
+      const cost = `$${costUsd.toFixed(2)}`;
+      parts.push(config.maxSpendUsd ? `${cost} of $${config.maxSpendUsd.toFixed(2)}` : cost);
+    }
+    emitProgress({
+      stage: "launchTraining",
+      line: `🏋️  ${parts.join(" | ")}`,
+      epoch: state.epoch,
+      totalEpochs: state.totalEpochs,
+      step: event.step,
+      totalSteps: event.totalSteps,
+      loss: event.avgLoss,
+      itPerSec: event.itPerSec,
+      costUsd,
+    });
+    lastRender = Date.now();
+  };
+  const handleLine = (line, isStderr) => {
+    if (!line.trim()) {
+      return;
+    }
+    const event = parseTrainingLine(line);
+    if (!event) {
+      (isStderr ? log.error : log.info)(line);
+      return;
+    }
+    if (event.type === "epoch") {
+      state.epoch = event.epoch;
+      state.totalEpochs = event.totalEpochs;
+      fs.appendFileSync(metricsPath, `${JSON.stringify({ time: new Date().toISOString(), ...event })}\n`);
+      const last = state.lastEvent || {};
+      notify("epoch", {
+        epoch: event.epoch,
+        totalEpochs: event.totalEpochs,
+        step: last.step || null,
+        totalSteps: last.totalSteps || null,
+        loss: last.avgLoss === undefined ? null : last.avgLoss,
+        costUsd: journal && journal.gpu ? estimateRunCost(journal) : null,
+      }, config);
+      return;
+    }
+    state.lastEvent = event;
+    if (event.step !== state.lastStep) {
+      state.lastStep = event.step;
+      const record = { time: new Date().toISOString(), ...event, epoch: state.epoch };
+      fs.appendFileSync(metricsPath, `${JSON.stringify(record)}\n`);
+    }
+    if (Date.now() - lastRender >= interval || event.step === event.totalSteps) {
+      render(event);
+    }
+  };
+
+  return {
+    write(text, isStderr) {
+      buffer += text;
+      const lines = buffer.split(/\r|\n/);
+      buffer = lines.pop();
+      lines.forEach((line) => handleLine(line, isStderr));
+    },
+    finish() {
+      if (buffer) {
+        handleLine(buffer, false);
+        buffer = "";
+      }
+      endProgress();
+      log.info(`📈 Training metrics written to ${metricsPath}`);
+    },
+  };
+}
+
+// ---------------------------------------------------------------------
+// Detached Training
+// ---------------------------------------------------------------------
+// Training runs in its own session on the pod, writing its output to
+// jobs/<id>/train.log, its PID to train.pid and its exit code to train.exit,
+// so it keeps going when the local connection drops. jobs/latest points to
+// the newest job.
+
+/**
+ * trainingJobDir(id, config)
+ *
+ * Returns the remote directory of a training job.
+ */
+function trainingJobDir(id, config) {
+  return `${config.volumeMountPath}/jobs/${id}`;
+}
+
+/**
+ * startTrainingJob(ssh, id, trainingCommand, config)
+ *
+ * Writes the job script and starts it detached from the SSH session. Returns its PID.
+ */
+async function startTrainingJob(ssh, id, trainingCommand, config) {
+  const jobDir = trainingJobDir(id, config);
+  const script = `#!/bin/bash
+( ${trainingCommand} ) > ${jobDir}/train.log 2>&1
+echo $? > ${jobDir}/train.exit.part && mv ${jobDir}/train.exit.part ${jobDir}/train.exit
+`;
+  const command = `mkdir -p ${jobDir} && cat > ${jobDir}/train.sh << 'EOF_TRAIN'
+${script}EOF_TRAIN
+cd ${jobDir} || exit 1
+nohup setsid bash ${jobDir}/train.sh > /dev/null 2>&1 < /dev/null &
+echo $! > ${jobDir}/train.pid && ln -sfn ${jobDir} ${config.volumeMountPath}/jobs/latest && cat ${jobDir}/train.pid`;
+  const pid = parseInt(await captureCommand(ssh, command, config), 10);
+  if (!pid) {
+    throw new Error(`Failed to start training job ${id}.`);
+  }
+  return pid;
+}
+
+/**
+ * getTrainingJobStatus(ssh, jobDir, config)
+ *
+ * Returns { state, pid, exitCode }, where state is "running", "exited" or
+ * "missing" (never started, or killed before it could record an exit code).
+ */
+async function getTrainingJobStatus(ssh, jobDir, config) {
+  const command = `cd ${jobDir} 2>/dev/null || { echo missing; exit 0; }
+    if [ -f train.exit ]; then echo "exited $(cat train.exit)";
+    elif [ -f train.pid ] && grep -qs train.sh /proc/$(cat train.pid)/cmdline; then echo "running $(cat train.pid)";
+    else echo missing; fi`;
+  const [state, value] = (await captureCommand(ssh, command, config)).trim().split(/\s+/);
+  if (state === "running") {
+    return { state, pid: parseInt(value, 10), exitCode: null };
+  }
+  if (state === "exited") {
+    return { state, pid: null, exitCode: parseInt(value, 10) };
+  }
+  return { state: "missing", pid: null, exitCode: null };
+}
+
+/**
+ * findLatestTrainingJob(ssh, config)
+ *
+ * Returns { id, status } of the pod's latest training job, or null if it has none.
+ */
+async function findLatestTrainingJob(ssh, config) {
+  const target = (await captureCommand(ssh, `readlink ${config.volumeMountPath}/jobs/latest || true`, config)).trim();
+  if (!target) {
+    return null;
+  }
+  const id = path.posix.basename(target);
+  return { id, status: await getTrainingJobStatus(ssh, trainingJobDir(id, config), config) };
+}
+
+/**
+ * reconnectSSH(journal, config)
+ *
+ * Replaces the run's dropped SSH connection, retrying with backoff. In spot
+ * mode a preempted pod is reported as PodPreemptedError instead.
+ */
+async function reconnectSSH(journal, config) {
+  if (activeRun().ssh) {
+    activeRun().ssh.end();
+    activeRun().ssh = null;
+  }
+  for (let attempt = 1; ; attempt++) {
+    if (activeRun().tearingDown) {
+      throw new RunStoppedError(activeRun().stopReason);
+    }
+    if (await activeRun().provider.isPreempted(journal.podId, config)) {
+      throw new PodPreemptedError(journal.podId);
+    }
+    try {
+      activeRun().ssh = await connectSSH(journal.instance, journal.instance.username, journal, config);
+      return activeRun().ssh;
+    } catch (error) {
+      if (error instanceof HostKeyMismatchError) {
+        throw error;
+      }
+      if (attempt >= config.reconnectAttempts) {
+        throw new Error(`Lost the connection to pod ${journal.podId}. Training keeps running there; run "attach" to follow it again.`, { cause: error });
+      }
+      const delay = Math.min(config.retryBackoffSeconds * 2 ** (attempt - 1), 60);
+      log.warn(`⚠️  Reconnect failed (${error.message}). Retrying in ${delay}s (${attempt}/${config.reconnectAttempts})...`);
+      await new Promise((resolve) => setTimeout(resolve, delay * 1000));
+    }
+  }
+}
+
+/**
+ * followTrainingJob(journal, config, onOutput)
+ *
+ * Tails the journal's training log from the last offset received until the job
+ * ends, reconnecting when the connection drops, and returns its final status.
+ * The offset is kept in the journal so attach continues where output left off.
+ * A job running over the launchTraining time limit is killed.
+ */
+async function followTrainingJob(journal, config, onOutput) {
+  const job = journal.training;
+  const jobDir = trainingJobDir(job.id, config);
+  const limitMs = stageTimeoutMs("launchTraining", config);
+  const deadline = limitMs && job.launchedAt ? new Date(job.launchedAt).getTime() + limitMs : null;
+  let lastSave = Date.now();
+  while (true) {
+    try {
+      const status = await getTrainingJobStatus(activeRun().ssh, jobDir, config);
+      // --pid makes tail exit once the job has ended and the rest of the log is out.
+      const pidArg = status.state === "running" ? `-F --pid=${status.pid} ` : "";
+      await executeCommand(activeRun().ssh, `tail -c +${job.logOffset + 1} ${pidArg}${jobDir}/train.log 2>/dev/null || true`, config, {
+        onOutput: (text, isStderr) => {
+          job.logOffset += Buffer.byteLength(text);
+          onOutput(text, isStderr);
+          if (Date.now() - lastSave >= 30000) {
+            saveJournal(journal, config);
+            lastSave = Date.now();
+          }
+        },
+        timeoutMs: deadline ? Math.max(deadline - Date.now(), 1000) : null,
+      });
+      saveJournal(journal, config);
+      const finalStatus = await getTrainingJobStatus(activeRun().ssh, jobDir, config);
+      if (finalStatus.state !== "running") {
+        return finalStatus;
+      }
+    } catch (error) {
+      saveJournal(journal, config);
+      if (activeRun().tearingDown) {
+        throw new RunStoppedError(activeRun().stopReason);
+      }
+      if (error instanceof RemoteCommandError && error.timedOut) {
+        await executeCommand(activeRun().ssh, `kill -TERM -- -${job.pid} 2>/dev/null || true`, config);
+        throw new Error(`Training ran over its ${config.stageTimeoutsMinutes.launchTraining} minute limit and was stopped.`, { cause: error });
+      }
+      if (error instanceof RemoteCommandError && (error.signal || (error.code !== undefined && error.code !== null))) {
+        throw error;
+      }
+      log.warn(`\n⚠️  Lost the connection while following training (${error.message.split("\n")[0]}). Reconnecting...`);
+      await reconnectSSH(journal, config);
+    }
+  }
+}
+
+/**
+ * openTrainingJob(provider, config)
+ *
+ * Finds the pod for logs and status (--podId or the journal's pod) and, if it
+ * is running, connects to it and looks up its training job.
+ * Returns { podId, pod, journal, ssh, job }, with ssh and job null when not available.
+ */
+async function openTrainingJob(provider, config) {
+  const storedJournal = loadJournal(config.journalPath);
+  const podId = config.podId || (storedJournal && storedJournal.podId);
+  if (!podId) {
+    throw new Error(`No pod to look at. Pass --podId or point --journalPath at a run's journal.`);
+  }
+  const journal = storedJournal && storedJournal.podId === podId ? storedJournal : null;
+  const pod = await provider.getMachine(podId, config);
+  if (!pod || pod.desiredStatus !== "RUNNING") {
+    return { podId, pod, journal, ssh: null, job: null };
+  }
+  const instance = await provider.waitReady(podId, config);
+  const ssh = await waitForSSH(instance, instance.username, journal, config);
+  let job = null;
+  if (journal && journal.training) {
+    const jobDir = trainingJobDir(journal.training.id, config);
+    job = { id: journal.training.id, status: await getTrainingJobStatus(ssh, jobDir, config) };
+  } else {
+    job = await findLatestTrainingJob(ssh, config);
+  }
+  return { podId, pod, journal, ssh, job };
+}
+
+/**
+ * printTrainingLogs(provider, config)
+ *
+ * Prints the training log of a pod's job, following it while the job runs.
+ */
+async function printTrainingLogs(provider, config) {
+  const { podId, pod, ssh, job } = await openTrainingJob(provider, config);
+  if (!ssh) {
+    throw new Error(`Pod ${podId} is ${pod ? pod.desiredStatus : "gone"}, its log can only be read while it runs.`);
+  }
+  try {
+    if (!job) {
+      log.info(`No training job found on pod ${podId}.`);
+      return;
+    }
+    const pidArg = job.status.state === "running" ? `-F --pid=${job.status.pid} ` : "";
+    let buffer = "";
+    await executeCommand(ssh, `tail -c +1 ${pidArg}${trainingJobDir(job.id, config)}/train.log`, config, {
+      onOutput: (text) => {
+        const lines = (buffer + text).split("\n");
+        buffer = lines.pop();
+        lines.forEach((line) => log.info(line));
+      },
+    });
+    if (buffer) {
+      log.info(buffer);
+    }
+  } finally {
+    ssh.end();
+  }
+}
+
+/**
+ * printTrainingStatus(provider, config)
+ *
+ * Shows the state of a pod, its training job and the job's latest progress.
+ */
+async function printTrainingStatus(provider, config) {
+  const { podId, pod, journal, ssh, job } = await openTrainingJob(provider, config);
+  log.info(`Pod:      ${podId} (${pod ? pod.desiredStatus : "no longer exists"})`);
+  if (journal) {
+    if (journal.gpu) {
+      log.info(`GPU:      ${journal.gpu.count}x ${journal.gpu.displayName} at $${journal.gpu.pricePerHour.toFixed(2)}/hr`);
+      log.info(`Cost:     $${estimateRunCost(journal).toFixed(2)} so far`);
+    }
+    log.info(`Stages:   ${journal.completedStages.join(", ") || "none"}`);
+  }
+  if (!ssh) {
+    return;
+  }
+  try {
+    if (!job) {
+      log.info("Training: no job found");
+      return;
+    }
+    const state = job.status.state === "running"
+      ? `running (PID ${job.status.pid})`
+      : job.status.state === "exited" ? `exited with code ${job.status.exitCode}` : "stopped without an exit code";
+    log.info(`Training: job ${job.id}, ${state}`);
+    const logTail = await captureCommand(ssh, `tail -c 16384 ${trainingJobDir(job.id, config)}/train.log 2>/dev/null || true`, config);
+    let epoch = null;
+    let step = null;
+    logTail.split(/\r|\n/).forEach((line) => {
+      const event = parseTrainingLine(line);
+      if (event && event.type === "epoch") {
+        epoch = event;
+      } else if (event) {
+        step = event;
+      }
+    });
+    if (step) {
+      const parts = [];
+      if (epoch) {
+        parts.push(`epoch ${epoch.epoch}/${epoch.totalEpochs}`);
+      }
+      parts.push(`step ${step.step}/${step.totalSteps}`);
+      if (step.avgLoss !== undefined) {
+        parts.push(`loss ${step.avgLoss.toFixed(4)}`);
+      }
+      log.info(`Progress: ${parts.join(" | ")}`);
+    }
+  } finally {
+    ssh.end();
+  }
+}
+
+// ---------------------------------------------------------------------
+// Samples and Report
+// ---------------------------------------------------------------------
+// Checkpoints and sample images are downloaded as training produces them,
+// and report.html in localOutputDir shows them next to the config and loss.
+
+// sd-scripts names epoch samples <output_name>_e<epoch>_<prompt index>_<timestamp>[_<seed>].png.
+const SAMPLE_IMAGE_NAME = /_e(\d{6})_(\d{2})_\d{14}(?:_\d+)?\.png$/;
+
+/**
+ * syncTrainingArtifacts(ssh, instance, username, journal, config)
+ *
+ * Downloads checkpoints and sample images that are new or changed since the
+ * last sync, skipping files written to in the last 15 seconds, and refreshes
+ * the report when anything was downloaded.
+ */
+async function syncTrainingArtifacts(ssh, instance, username, journal, config) {
+  const settled = "! -newermt '15 seconds ago'";
+  const listCommand = `cd ${config.trainOutputDir} 2>/dev/null || exit 0
+    find . -maxdepth 1 -name '*.safetensors' ${settled} -printf '%s %P\\n'
+    [ -d sample ] && find sample -maxdepth 1 -name '*.png' ${settled} -printf '%s sample/%P\\n'
+    true`;
+  const pending = (await captureCommand(ssh, listCommand, config))
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      const [size, ...name] = line.split(" ");
+      return { size: Number(size), name: name.join(" ") };
+    })
+    .filter(({ size, name }) => {
+      const localPath = path.join(config.localOutputDir, name);
+      return !fs.existsSync(localPath) || fs.statSync(localPath).size !== size;
+    });
+  if (pending.length === 0) {
+    return;
+  }
+  const client = await createScpClient(instance, username, journal, config);
+  try {
+    for (const { name } of pending) {
+      const localPath = path.join(config.localOutputDir, name);
+      fs.ensureDirSync(path.dirname(localPath));
+      await client.downloadFile(`${config.trainOutputDir}/${name}`, localPath);
+    }
+  } finally {
+    client.close();
+  }
+  const samples = pending.filter(({ name }) => name.startsWith("sample/")).length;
+  log.info(`🖼️  Downloaded ${pending.length - samples} checkpoint(s) and ${samples} sample image(s).`);
+  writeTrainingReport(journal, config);
+}
+
+/**
+ * escapeHtml(value)
+ *
+ * Escapes a value for use in HTML text and attributes.
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * readMetrics(config)
+ *
+ * Returns the step records of localOutputDir/metrics.jsonl that have a loss.
+ */
+function readMetrics(config) {
+  const metricsPath = path.join(config.localOutputDir, "metrics.jsonl");
+  if (!fs.existsSync(metricsPath)) {
+    return [];
+  }
+  return fs.readFileSync(metricsPath, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    })
+    .filter((record) => record && record.type === "step" && record.avgLoss !== undefined);
+}
+
+/**
+ * renderLossChart(steps)
+ *
+ * Returns an inline SVG line chart of the average loss over the training steps.
+ */
+function renderLossChart(steps) {
+  const width = 720;
+  const height = 200;
+  // reduce rather than Math.min(...losses): long runs have more steps than a call takes arguments.
+  const losses = steps.map((record) => record.avgLoss);
+  const min = losses.reduce((lowest, loss) => Math.min(lowest, loss), Infinity);
+  const max = losses.reduce((highest, loss) => Math.max(highest, loss), -Infinity);
+  const span = max - min || 1;
+  const points = steps.map((record, index) => {
+    const x = steps.length > 1 ? (index / (steps.length - 1)) * width : 0;
+    const y = height - ((record.avgLoss - min) / span) * height;
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  });
+  return `<svg viewBox="-40 -10 ${width + 50} ${height + 30}" width="${width + 50}" height="${height + 30}">
+  <polyline fill="none" stroke="#2563eb" stroke-width="1.5" points="${points.join(" ")}"/>
+  <text x="-5" y="5" text-anchor="end">${max.toFixed(3)}</text>
+  <text x="-5" y="${height}" text-anchor="end">${min.toFixed(3)}</text>
+  <text x="${width}" y="${height + 18}" text-anchor="end">step ${steps[steps.length - 1].step}</text>
+</svg>`;
+}
+
+/**
+ * samplePromptText(index, config)
+ *
+ * Returns the prompt of the sample images with a prompt index, as found in their file names.
+ */
+function samplePromptText(index, config) {
+  const sample = config.training.samplePrompts[index];
+  return sample === undefined ? `Prompt ${index}` : typeof sample === "string" ? sample : sample.prompt;
+}
+
+/**
+ * writeTrainingReport(journal, config)
+ *
+ * Writes report.html to localOutputDir with a prompt × epoch grid of the
+ * downloaded sample images, a loss summary, the checkpoints and the training
+ * config. Returns the report's path.
+ */
+function writeTrainingReport(journal, config) {
+  const outputDir = config.localOutputDir;
+  const reportPath = path.join(outputDir, "report.html");
+  const training = config.training;
+
+  // Latest image for each prompt and epoch (a resumed epoch can be sampled twice).
+  const grid = new Map();
+  const epochs = new Set();
+  const sampleDir = path.join(outputDir, "sample");
+  const sampleFiles = fs.existsSync(sampleDir) ? fs.readdirSync(sampleDir).sort() : [];
+  sampleFiles.forEach((file) => {
+    const match = file.match(SAMPLE_IMAGE_NAME);
+    if (!match) {
+      return;
+    }
+    const epoch = Number(match[1]);
+    const prompt = Number(match[2]);
+    epochs.add(epoch);
+    if (!grid.has(prompt)) {
+      grid.set(prompt, new Map());
+    }
+    grid.get(prompt).set(epoch, `sample/${file}`);
+  });
+  const epochList = [...epochs].sort((a, b) => a - b);
+  const promptText = (index) => samplePromptText(index, config);
+  const samplesHtml = grid.size === 0
+    ? "<p>No sample images. Set training.samplePrompts to generate them.</p>"
+    : `<table class="grid">
+  <tr><th>Prompt</th>${epochList.map((epoch) => `<th>Epoch ${epoch}</th>`).join("")}</tr>
+${[...grid.keys()].sort((a, b) => a - b).map((prompt) => `  <tr><td class="prompt">${escapeHtml(promptText(prompt))}</td>${epochList.map((epoch) => {
+    const image = grid.get(prompt).get(epoch);
+    return image ? `<td><a href="${escapeHtml(image)}"><img src="${escapeHtml(image)}" loading="lazy"></a></td>` : "<td></td>";
+  }).join("")}</tr>`).join("\n")}
+</table>`;
+
+  // Loss per epoch: the running average sd-scripts reports at the epoch's last step.
+  const steps = readMetrics(config);
+  const lossByEpoch = new Map();
+  steps.forEach((record) => {
+    if (record.epoch) {
+      lossByEpoch.set(record.epoch, record.avgLoss);
+    }
+  });
+  const lossHtml = steps.length === 0
+    ? "<p>No loss recorded.</p>"
+    : `<p>Final average loss <b>${steps[steps.length - 1].avgLoss.toFixed(4)}</b>, lowest ${steps.reduce((lowest, record) => Math.min(lowest, record.avgLoss), Infinity).toFixed(4)} over ${steps[steps.length - 1].step} steps.</p>
+${renderLossChart(steps)}
+<table>
+  <tr><th>Epoch</th><th>Average loss</th></tr>
+${[...lossByEpoch].map(([epoch, loss]) => `  <tr><td>${epoch}</td><td>${loss.toFixed(4)}</td></tr>`).join("\n")}
+</table>`;
+
+  const checkpoints = fs.existsSync(outputDir)
+    ? fs.readdirSync(outputDir).filter((file) => file.endsWith(".safetensors")).sort()
+    : [];
+  const checkpointsHtml = checkpoints.length === 0
+    ? "<p>No checkpoints downloaded yet.</p>"
+    : `<ul>\n${checkpoints.map((file) => `  <li><a href="${escapeHtml(file)}">${escapeHtml(file)}</a></li>`).join("\n")}\n</ul>`;
+
+  const tomlPath = path.join(outputDir, "training_config.toml");
+  const trainingToml = fs.existsSync(tomlPath) ? fs.readFileSync(tomlPath, "utf8") : "";
+  const runDetails = [`Recipe ${config.recipe}`];
+  if (journal && journal.gpu) {
+    runDetails.push(`${journal.gpu.count}x ${journal.gpu.displayName}`);
+    runDetails.push(`$${estimateRunCost(journal).toFixed(2)} so far`);
+  }
+  if (journal && journal.startedAt) {
+    runDetails.push(`started ${journal.startedAt}`);
+  }
+
+  const html = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(training.outputName)} training report</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2em; color: #1f2937; }
+  table { border-collapse: collapse; margin: 1em 0; }
+  th, td { border: 1px solid #d1d5db; padding: 4px 8px; vertical-align: top; }
+  .grid img { width: 192px; display: block; }
+  .prompt { max-width: 240px; font-size: 0.9em; }
+  svg text { font-size: 11px; fill: #6b7280; }
+  pre { background: #f3f4f6; padding: 1em; overflow-x: auto; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(training.outputName)}</h1>
+<p>${escapeHtml(runDetails.join(" · "))}</p>
+<h2>Samples</h2>
+${samplesHtml}
+<h2>Loss</h2>
+${lossHtml}
+<h2>Checkpoints</h2>
+${checkpointsHtml}
+<h2>Training config</h2>
+<pre>${escapeHtml(trainingToml)}</pre>
+</body>
+</html>
+`;
+  fs.outputFileSync(reportPath, html);
+  return reportPath;
+}
+
+// ---------------------------------------------------------------------
+// Output Processing and Publishing
+// ---------------------------------------------------------------------
+// After the output download, processOutput resizes the final LoRA on the pod
+// if asked to, hashes the models, reads the metadata sd-scripts keeps in their
+// safetensors headers and writes both to model_info.json, next to a model card
+// (README.md). publishOutput then uploads the models, the card and the last
+// epoch's samples to a Hugging Face repo and/or an S3 bucket.
+
+// Hugging Face tag of the model family each training script trains for.
+const MODEL_CARD_TAGS = {
+  "train_network.py": "stable-diffusion",
+  "sdxl_train_network.py": "stable-diffusion-xl",
+  "flux_train_network.py": "flux",
+  "sd3_train_network.py": "sd3",
+};
+// Training metadata shown in the model card when sd-scripts recorded it.
+const MODEL_CARD_METADATA = {
+  ss_steps: "Steps",
+  ss_num_train_images: "Training images",
+  ss_sd_model_name: "Base model file",
+};
+
+/**
+ * finalModelName(config)
+ *
+ * Returns the file name sd-scripts gives the model of the last epoch.
+ */
+function finalModelName(config) {
+  return `${config.training.outputName}.safetensors`;
+}
+
+/**
+ * resizeCommand(config)
+ *
+ * Returns the command that resizes the final LoRA to postprocess.resizeRank
+ * with sd-scripts' resize_lora.py, saving it as <outputName>-rank<rank>.safetensors.
+ */
+function resizeCommand(config) {
+  const rank = config.postprocess.resizeRank;
+  const precision = config.training.mixedPrecision === "no" ? "float" : config.training.mixedPrecision;
+  return `cd ${config.volumeMountPath}/sd-scripts &&
+    ${pythonEnvCommand(config)}python networks/resize_lora.py --model ${config.trainOutputDir}/${finalModelName(config)} ` +
+    `--save_to ${config.trainOutputDir}/${config.training.outputName}-rank${rank}.safetensors --new_rank ${rank} --save_precision ${precision} --device cuda`;
+}
+
+/**
+ * readSafetensorsMetadata(file)
+ *
+ * Returns the "__metadata__" of a safetensors file's JSON header, {} if it has none.
+ */
+function readSafetensorsMetadata(file) {
+  const fd = fs.openSync(file, "r");
+  try {
+    const prefix = Buffer.alloc(8);
+    const size = fs.fstatSync(fd).size;
+    const headerLength = fs.readSync(fd, prefix, 0, 8, 0) === 8 ? Number(prefix.readBigUInt64LE(0)) : Infinity;
+    if (headerLength > size - 8) {
+      throw new Error(`${file} is not a safetensors file.`);
+    }
+    const header = Buffer.alloc(headerLength);
+    fs.readSync(fd, header, 0, headerLength, 8);
+    return JSON.parse(header.toString("utf8")).__metadata__ || {};
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * detectTriggerWords(config)
+ *
+ * Returns postprocess.triggerWords, or else the class tokens of the training
+ * subsets followed by the caption tags found in at least half of their captions.
+ */
+function detectTriggerWords(config) {
+  if (config.postprocess.triggerWords) {
+    return config.postprocess.triggerWords;
+  }
+  let datasetConfig;
+  try {
+    datasetConfig = readDatasetConfig(config);
+  } catch {
+    return [];
+  }
+  const captionExtension = (datasetConfig.general && datasetConfig.general.caption_extension) || ".txt";
+  const words = [];
+  const captions = [];
+  (datasetConfig.datasets || []).forEach((dataset) => {
+    (dataset.subsets || []).filter((subset) => !subset.is_reg).forEach((subset) => {
+      if (subset.class_tokens) {
+        words.push(subset.class_tokens);
+      }
+      const localDir = path.join(config.localDatasetPath, path.posix.relative(config.remoteDatasetPath, subset.image_dir));
+      if (fs.existsSync(localDir)) {
+        fs.readdirSync(localDir)
+          .filter((file) => file.endsWith(captionExtension))
+          .forEach((file) => captions.push(fs.readFileSync(path.join(localDir, file), "utf8")));
+      }
+    });
+  });
+  const counts = new Map();
+  captions.forEach((caption) => {
+    new Set(caption.split(",").map((tag) => tag.trim()).filter(Boolean))
+      .forEach((tag) => counts.set(tag, (counts.get(tag) || 0) + 1));
+  });
+  [...counts]
+    .filter(([, count]) => count >= captions.length / 2)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 5)
+    .forEach(([tag]) => words.push(tag));
+  return [...new Set(words)];
+}
+
+/**
+ * renderModelCard(info, journal, config)
+ *
+ * Returns a Hugging Face style model card (README.md) for the models in
+ * model_info.json: trigger words, files with hashes, hyperparameters and the
+ * last epoch's samples.
+ */
+function renderModelCard(info, journal, config) {
+  const training = config.training;
+  const recipe = RECIPES[config.recipe];
+  const samples = latestSamples(config.localOutputDir).map((file) => {
+    const match = path.basename(file).match(SAMPLE_IMAGE_NAME);
+    return { path: `sample/${path.basename(file)}`, prompt: samplePromptText(Number(match[2]), config) };
+  });
+  let baseModel = null;
+  try {
+    const source = resolveModelSource(config.modelPath, config);
+    baseModel = source.repoId || (source.kind === "huggingface-file" ? new URL(source.url).pathname.split("/").slice(1, 3).join("/") : null);
+  } catch {
+    // Not a Hugging Face model, named in the text only.
+  }
+  const frontMatter = {
+    ...(baseModel ? { base_model: baseModel } : {}),
+    tags: ["lora", "text-to-image", MODEL_CARD_TAGS[recipe.script]].filter(Boolean),
+    ...(info.triggerWords.length > 0 ? { instance_prompt: info.triggerWords.join(", ") } : {}),
+    ...(samples.length > 0 ? { widget: samples.map((sample) => ({ text: sample.prompt, output: { url: sample.path } })) } : {}),
+  };
+
+  const metadata = info.files[0].metadata;
+  const steps = readMetrics(config);
+  const settings = [
+    ["Recipe", config.recipe],
+    ["Base model", config.modelPath],
+    ["Network", `${recipe.networkModule}${recipe.networkArgs ? ` (${recipe.networkArgs.join(", ")})` : ""}, dim ${training.networkDim}, alpha ${training.networkAlpha}`],
+    ["Learning rate", `${training.learningRate}${training.unetLr ? `, U-Net ${training.unetLr}` : ""}${training.textEncoderLr ? `, text encoder ${training.textEncoderLr}` : ""}`],
+    ["Optimizer", `${training.optimizer}, ${training.lrScheduler} schedule`],
+    ["Epochs", training.epochs],
+    ["Batch size", training.batchSize],
+    ["Resolution", training.resolution || recipe.resolution],
+    ["Mixed precision", training.mixedPrecision],
+    ...Object.entries(MODEL_CARD_METADATA).filter(([key]) => metadata[key]).map(([key, label]) => [label, metadata[key]]),
+    ...(steps.length > 0 ? [["Final average loss", steps[steps.length - 1].avgLoss.toFixed(4)]] : []),
+  ];
+  if (journal && journal.gpu) {
+    settings.push(["Trained on", `${journal.gpu.count}x ${journal.gpu.displayName}, $${estimateRunCost(journal).toFixed(2)}`]);
+  }
+
+  return `---
+${YAML.stringify(frontMatter).trim()}
+---
+
+# ${training.outputName}
+
+A LoRA for ${config.modelPath}, trained with [sd-scripts](https://github.com/kohya-ss/sd-scripts).
+
+## Trigger words
+
+${info.triggerWords.length > 0 ? `Use ${info.triggerWords.map((word) => `\`${word}\``).join(", ")} in the prompt.` : "No trigger words."}
+
+## Files
+
+| File | Size | SHA256 | AutoV2 |
+|---|---|---|---|
+${info.files.map((file) => `| [${file.file}](${file.file}) | ${formatBytes(file.size)} | \`${file.sha256}\` | \`${file.autoV2}\` |`).join("\n")}
+
+## Training
+
+| Setting | Value |
+|---|---|
+${settings.map(([name, value]) => `| ${name} | ${String(value).replace(/\|/g, "\\|")} |`).join("\n")}
+${samples.length === 0 ? "" : `
+## Samples
+
+${samples.map((sample) => `![${sample.prompt.replace(/[[\]]/g, "")}](${sample.path})\n\n*${sample.prompt}*`).join("\n\n")}
+`}`;
+}
+
+/**
+ * processOutput(ssh, journal, config)
+ *
+ * Resizes the final model on the pod and downloads the result when
+ * postprocess.resizeRank is set, then writes model_info.json with the
+ * models' sizes, SHA256 and AutoV2 hashes and safetensors metadata, and the
+ * model card.
+ */
+async function processOutput(ssh, journal, config) {
+  const outputDir = config.localOutputDir;
+  const models = [finalModelName(config)];
+  if (!fs.existsSync(path.join(outputDir, models[0]))) {
+    throw new Error(`The final model ${models[0]} is missing from ${outputDir}.`);
+  }
+  if (config.postprocess.resizeRank) {
+    const resized = `${config.training.outputName}-rank${config.postprocess.resizeRank}.safetensors`;
+    log.info(`📐 Resizing the LoRA to rank ${config.postprocess.resizeRank}...`);
+    await executeCommand(ssh, resizeCommand(config), config, { timeoutMs: stageTimeoutMs("processOutput", config) });
+    const client = await createScpClient(journal.instance, journal.instance.username, journal, config);
+    try {
+      await client.downloadFile(`${config.trainOutputDir}/${resized}`, path.join(outputDir, resized));
+    } finally {
+      client.close();
+    }
+    models.push(resized);
+  }
+
+  const info = {
+    outputName: config.training.outputName,
+    recipe: config.recipe,
+    baseModel: config.modelPath,
+    triggerWords: detectTriggerWords(config),
+    files: [],
+  };
+  for (const name of models) {
+    const file = path.join(outputDir, name);
+    const sha256 = await hashFile(file);
+    // AutoV2 is the short hash A1111 and Civitai show: the SHA256's first ten characters.
+    info.files.push({ file: name, size: fs.statSync(file).size, sha256, autoV2: sha256.slice(0, 10).toUpperCase(), metadata: readSafetensorsMetadata(file) });
+    log.info(`🔏 ${name}: SHA256 ${sha256}, AutoV2 ${sha256.slice(0, 10).toUpperCase()}`);
+  }
+  fs.outputJsonSync(path.join(outputDir, "model_info.json"), info, { spaces: 2 });
+  if (config.postprocess.modelCard) {
+    fs.outputFileSync(path.join(outputDir, "README.md"), renderModelCard(info, journal, config));
+    log.info(`📝 Model card written to ${path.join(outputDir, "README.md")}`);
+  }
+}
+
+/**
+ * publishedFiles(config)
+ *
+ * Returns the paths, relative to localOutputDir, of what publishOutput
+ * uploads: the models of model_info.json, model_info.json, the model card and
+ * the last epoch's samples.
+ */
+function publishedFiles(config) {
+  const outputDir = config.localOutputDir;
+  const info = fs.readJsonSync(path.join(outputDir, "model_info.json"));
+  return [
+    ...info.files.map((file) => file.file),
+    "model_info.json",
+    ...(fs.existsSync(path.join(outputDir, "README.md")) ? ["README.md"] : []),
+    ...latestSamples(outputDir).map((file) => `sample/${path.basename(file)}`),
+  ];
+}
+
+/**
+ * huggingFaceUploadCommand(files, config)
+ *
+ * Returns the command that uploads files from trainOutputDir to the
+ * publish.huggingface repo, creating it if needed. It reads hfToken from
+ * stdin, keeping it off the pod's process list.
+ */
+function huggingFaceUploadCommand(files, config) {
+  const { repo, private: isPrivate } = config.publish.huggingface;
+  return [
+    `IFS= read -r HF_TOKEN && export HF_TOKEN &&`,
+    `pip install -q "huggingface_hub[cli]" &&`,
+    `huggingface-cli upload ${shellQuote(repo)} ${config.trainOutputDir} . --repo-type model${isPrivate ? " --private" : ""}`,
+    `  --include ${files.map(shellQuote).join(" ")}`,
+    `  --commit-message ${shellQuote(`Upload ${config.training.outputName}`)}`,
+  ].join(" \\\n");
+}
+
+/**
+ * publishToHuggingFace(ssh, files, journal, config)
+ *
+ * Publishes files to the Hugging Face repo from the pod, which has the models
+ * and samples already and a faster connection: the files written locally by
+ * processOutput are copied to the pod first.
+ */
+async function publishToHuggingFace(ssh, files, journal, config) {
+  const { repo } = config.publish.huggingface;
+  log.info(`🤗 Publishing ${files.length} file(s) to https://huggingface.co/${repo}...`);
+  const client = await createScpClient(journal.instance, journal.instance.username, journal, config);
+  try {
+    for (const file of files.filter((name) => ["model_info.json", "README.md"].includes(name))) {
+      await client.uploadFile(path.join(config.localOutputDir, file), `${config.trainOutputDir}/${file}`);
+    }
+  } finally {
+    client.close();
+  }
+  await executeCommand(ssh, huggingFaceUploadCommand(files, config), config, {
+    stdin: `${config.hfToken}\n`,
+    timeoutMs: stageTimeoutMs("publishOutput", config),
+  });
+  log.info(`✅ Published to https://huggingface.co/${repo}`);
+}
+
+/**
+ * s3Prefix(config)
+ *
+ * Returns the key prefix files are published under in the publish.s3 bucket.
+ */
+function s3Prefix(config) {
+  const prefix = config.publish.s3.prefix === undefined ? config.training.outputName : config.publish.s3.prefix;
+  return prefix && !prefix.endsWith("/") ? `${prefix}/` : prefix || "";
+}
+
+/**
+ * publishToS3(files, config)
+ *
+ * Uploads files from localOutputDir to the publish.s3 bucket with presigned
+ * PUT requests, using the s3 endpoint and credentials.
+ */
+async function publishToS3(files, config) {
+  const { bucket } = config.publish.s3;
+  const prefix = s3Prefix(config);
+  const sizes = files.map((file) => fs.statSync(path.join(config.localOutputDir, file)).size);
+  const progress = createProgressBar("publishOutput", `☁️  s3://${bucket}/${prefix}`, sizes.reduce((sum, size) => sum + size, 0));
+  let uploaded = 0;
+  try {
+    for (const [index, file] of files.entries()) {
+      const key = `${prefix}${file}`;
+      const response = await fetch(presignS3Url("PUT", bucket, key, config.s3), {
+        method: "PUT",
+        body: fs.readFileSync(path.join(config.localOutputDir, file)),
+        signal: AbortSignal.timeout(stageTimeoutMs("publishOutput", config) || 3600000),
+      });
+      if (!response.ok) {
+        const body = (await response.text()).trim().slice(0, 300);
+        throw new Error(`Upload of ${file} to s3://${bucket}/${key} failed with HTTP ${response.status}${body ? `: ${body}` : "."}`);
+      }
+      uploaded += sizes[index];
+      progress.update(uploaded);
+    }
+  } finally {
+    progress.finish();
+  }
+  log.info(`✅ Published ${files.length} file(s) to s3://${bucket}/${prefix}`);
+}
+
+/**
+ * publishOutput(ssh, journal, config)
+ *
+ * Publishes the processed output to the configured targets, if any.
+ */
+async function publishOutput(ssh, journal, config) {
+  const { huggingface, s3 } = config.publish;
+  if (!huggingface && !s3) {
+    return;
+  }
+  const files = publishedFiles(config);
+  if (huggingface) {
+    await publishToHuggingFace(ssh, files, journal, config);
+  }
+  if (s3) {
+    await publishToS3(files, config);
+  }
+}
+
+// ---------------------------------------------------------------------
+// Spot Training State
+// ---------------------------------------------------------------------
+// A preempted spot pod takes its disk with it, so the latest sd-scripts
+// state is copied locally during training and uploaded to the next pod.
+
+/**
+ * syncLatestState(ssh, instance, username, journal, config)
+ *
+ * Downloads the newest complete sd-scripts state directory if it has not been
+ * downloaded yet. A state is considered complete once nothing in it changed for a minute.
+ */
+async function syncLatestState(ssh, instance, username, journal, config) {
+  const listCommand = `for d in $(ls -dt ${config.trainOutputDir}/*-state 2>/dev/null); do
+    if [ -z "$(find "$d" -mmin -1)" ]; then echo "$d"; break; fi
+  done`;
+  const remoteStatePath = (await captureCommand(ssh, listCommand, config)).trim();
+  if (!remoteStatePath) {
+    return;
+  }
+  const name = path.posix.basename(remoteStatePath);
+  if (journal.latestState && journal.latestState.name === name) {
+    return;
+  }
+  const localPath = path.join(config.localOutputDir, "state", name);
+  const client = await createScpClient(instance, username, journal, config);
+  try {
+    await client.downloadDir(remoteStatePath, localPath);
+  } finally {
+    client.close();
+  }
+  if (journal.latestState && journal.latestState.localPath !== localPath) {
+    fs.removeSync(journal.latestState.localPath);
+  }
+  journal.latestState = { name, localPath };
+  saveJournal(journal, config);
+  log.info(`💾 Saved training state ${name} locally.`);
+}
+
+/**
+ * startPeriodicTask(description, intervalSeconds, task)
+ *
+ * Runs task() every intervalSeconds, skipping a round while the previous one
+ * is still running. Returns an async function that stops the task and waits
+ * for a round in progress.
+ */
+function startPeriodicTask(description, intervalSeconds, task) {
+  let running = null;
+  const timer = setInterval(() => {
+    if (running) {
+      return;
+    }
+    running = task()
+      .catch((error) => log.error(`⚠️  ${description} failed:`, error.message))
+      .finally(() => {
+        running = null;
+      });
+  }, intervalSeconds * 1000);
+  return async () => {
+    clearInterval(timer);
+    if (running) {
+      await running;
+    }
+  };
+}
+
+/**
+ * uploadTrainingState(instance, username, journal, config)
+ *
+ * Uploads the locally saved state to the pod and returns its remote path.
+ */
+async function uploadTrainingState(instance, username, journal, config) {
+  const remoteStatePath = `${config.trainOutputDir}/${journal.latestState.name}`;
+  log.info(`📤 Uploading saved training state ${journal.latestState.name}...`);
+  const client = await createScpClient(instance, username, journal, config);
+  try {
+    await client.uploadDir(journal.latestState.localPath, remoteStatePath);
+  } catch (error) {
+    throw new Error(`Training state upload failed: ${error.message}`, { cause: error });
+  } finally {
+    client.close();
+  }
+  return remoteStatePath;
+}
+
+// ---------------------------------------------------------------------
+// Dataset Validation
+// ---------------------------------------------------------------------
+// Checks the local dataset before any money is spent on a pod.
+
+// Formats sd-scripts can load.
+const SUPPORTED_IMAGE_EXTENSIONS = [".png", ".jpg", ".jpeg", ".webp", ".bmp"];
+// Image formats that are silently skipped by sd-scripts.
+const UNSUPPORTED_IMAGE_EXTENSIONS = [".gif", ".tif", ".tiff", ".heic", ".heif", ".avif", ".jxl", ".svg"];
+
+/**
+ * listFiles(dir)
+ *
+ * Recursively lists the files in a directory, skipping hidden entries.
+ */
+function listFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => !entry.name.startsWith("."))
+    .flatMap((entry) => {
+      const entryPath = path.join(dir, entry.name);
+      return entry.isDirectory() ? listFiles(entryPath) : [entryPath];
+    });
+}
+
+/**
+ * isTruncatedImage(buffer, type)
+ *
+ * Returns true if a PNG, JPEG or WebP file ends before its image data does.
+ * image-size only reads headers, so a cut-off download would pass otherwise.
+ */
+function isTruncatedImage(buffer, type) {
+  if (type === "png") {
+    return !buffer.subarray(-12).includes("IEND");
+  }
+  if (type === "jpg") {
+    // Allow for padding after the End Of Image marker.
+    const tail = buffer.subarray(-32);
+    return !tail.some((byte, index) => byte === 0xff && tail[index + 1] === 0xd9);
+  }
+  if (type === "webp") {
+    return buffer.readUInt32LE(4) + 8 > buffer.length;
+  }
+  return false;
+}
+
+/**
+ * readDatasetConfig(config)
+ *
+ * Returns the dataset config that training will use: the dataset's own
+ * datasetConfigFile if present, otherwise the one that would be generated.
+ */
+function readDatasetConfig(config) {
+  const localConfigPath = path.join(config.localDatasetPath, config.datasetConfigFile);
+  if (fs.existsSync(localConfigPath)) {
+    return TOML.parse(fs.readFileSync(localConfigPath, "utf8"));
+  }
+  return buildDatasetConfig(config.localDatasetPath, {
+    imageRoot: config.remoteDatasetPath,
+    batchSize: config.training.batchSize,
+  });
+}
+
+/**
+ * validateDataset(config)
+ *
+ * Checks localDatasetPath for corrupt or unsupported images, missing and
+ * orphaned captions, tiny or extremely elongated images and duplicates, and
+ * estimates the total step count. Returns a report with errors, warnings and stats.
+ */
+function validateDataset(config) {
+  const report = { errors: [], warnings: [], stats: {} };
+  const datasetPath = config.localDatasetPath;
+  if (!fs.existsSync(datasetPath) || !fs.statSync(datasetPath).isDirectory()) {
+    report.errors.push(`Dataset directory ${datasetPath} does not exist.`);
+    return report;
+  }
+
+  let datasetConfig;
+  try {
+    datasetConfig = readDatasetConfig(config);
+  } catch (error) {
+    report.errors.push(`Dataset config: ${error.message}`);
+    return report;
+  }
+  const captionExtension = (datasetConfig.general && datasetConfig.general.caption_extension) || ".txt";
+
+  const files = listFiles(datasetPath);
+  const fileSet = new Set(files);
+  const stem = (file) => file.slice(0, file.length - path.extname(file).length);
+  const imageStems = new Set();
+  const hashes = new Map();
+  const imageCounts = new Map();
+  let imageCount = 0;
+
+  files.forEach((file) => {
+    const relative = path.relative(datasetPath, file);
+    const extension = path.extname(file).toLowerCase();
+    if (UNSUPPORTED_IMAGE_EXTENSIONS.includes(extension)) {
+      report.warnings.push(`${relative}: unsupported image format, it will be ignored.`);
+      return;
+    }
+    if (!SUPPORTED_IMAGE_EXTENSIONS.includes(extension)) {
+      return;
+    }
+    imageStems.add(stem(file));
+
+    let buffer;
+    let size;
+    try {
+      buffer = fs.readFileSync(file);
+      size = imageSize(buffer);
+    } catch (error) {
+      report.errors.push(`${relative}: unreadable or corrupt image (${error.message}).`);
+      return;
+    }
+    if (isTruncatedImage(buffer, size.type)) {
+      report.errors.push(`${relative}: image data is truncated.`);
+      return;
+    }
+    imageCount += 1;
+    const directory = path.dirname(file);
+    imageCounts.set(directory, (imageCounts.get(directory) || 0) + 1);
+
+    if (!fileSet.has(stem(file) + captionExtension)) {
+      report.warnings.push(`${relative}: no ${captionExtension} caption, class tokens will be used instead.`);
+    }
+    const shortSide = Math.min(size.width, size.height);
+    if (shortSide < config.minImageSide) {
+      report.warnings.push(`${relative}: ${size.width}x${size.height} is smaller than ${config.minImageSide}px.`);
+    }
+    const aspectRatio = Math.max(size.width, size.height) / shortSide;
+    if (aspectRatio > config.maxAspectRatio) {
+      report.warnings.push(`${relative}: aspect ratio ${aspectRatio.toFixed(1)}:1 exceeds ${config.maxAspectRatio}:1.`);
+    }
+    const hash = crypto.createHash("sha256").update(buffer).digest("hex");
+    if (hashes.has(hash)) {
+      report.warnings.push(`${relative}: duplicate of ${hashes.get(hash)}.`);
+    } else {
+      hashes.set(hash, relative);
+    }
+  });
+
+  files
+    .filter((file) => file.endsWith(captionExtension) && !imageStems.has(stem(file)))
+    .forEach((file) => report.warnings.push(`${path.relative(datasetPath, file)}: caption without an image.`));
+
+  // Steps per epoch as sd-scripts counts them: every image once per repeat,
+  // doubled when regularization images are used, divided over batches and GPUs.
+  let trainImages = 0;
+  let hasReg = false;
+  let batchSize = config.training.batchSize;
+  (datasetConfig.datasets || []).forEach((dataset) => {
+    batchSize = dataset.batch_size || batchSize;
+    (dataset.subsets || []).forEach((subset) => {
+      const localDir = path.join(datasetPath, path.posix.relative(config.remoteDatasetPath, subset.image_dir));
+      const count = imageCounts.get(localDir) || 0;
+      if (count === 0) {
+        report.errors.push(`Subset ${localDir} contains no usable images.`);
+      }
+      if (subset.is_reg) {
+        hasReg = true;
+      } else {
+        trainImages += count * (subset.num_repeats || 1);
+      }
+    });
+  });
+  const samplesPerEpoch = hasReg ? trainImages * 2 : trainImages;
+  const stepsPerEpoch = Math.ceil(samplesPerEpoch / (batchSize * config.gpuCount));
+  report.stats = {
+    images: imageCount,
+    duplicates: imageCount - hashes.size,
+    stepsPerEpoch,
+    totalSteps: stepsPerEpoch * config.training.epochs,
+  };
+  if (imageCount === 0) {
+    report.errors.push(`No usable images found in ${datasetPath}.`);
+  } else if (report.stats.totalSteps === 0) {
+    report.errors.push("Training would run for 0 steps: no training (non-regularization) images.");
+  }
+  return report;
+}
+
+/**
+ * printValidationReport(report, config, options)
+ *
+ * Prints the report and, unless options.writeReport is false, writes it to
+ * localOutputDir/validation_report.json. Returns true if the dataset can be trained on.
+ */
+function printValidationReport(report, config, { writeReport = true } = {}) {
+  report.errors.forEach((message) => log.error(`❌ ${message}`));
+  report.warnings.forEach((message) => log.warn(`⚠️  ${message}`));
+  const { images, duplicates, stepsPerEpoch, totalSteps } = report.stats;
+  if (images !== undefined) {
+    log.info(`📊 ${images} images (${duplicates} duplicates), ${stepsPerEpoch} steps per epoch, ${totalSteps} steps in total.`);
+  }
+  const reportPath = path.join(config.localOutputDir, "validation_report.json");
+  if (writeReport) {
+    fs.outputJsonSync(reportPath, report, { spaces: 2 });
+  }
+  const failed = report.errors.length > 0 || (config.strictValidation && report.warnings.length > 0);
+  log.info(
+    `${failed ? "❌" : "✅"} Dataset validation: ${report.errors.length} error(s), ${report.warnings.length} warning(s).` +
+    `${writeReport ? ` Report: ${reportPath}` : ""}`
+  );
+  return !failed;
+}
+
+// ---------------------------------------------------------------------
+// Run Journal
+// ---------------------------------------------------------------------
+// The journal records everything needed to reattach to a run (pod ID, GPU,
+// instance address) and which stages have finished, so "resume" can skip them.
+// Stages whose results live on the pod's disk rather than locally.
+const REMOTE_STAGES = [
+  "uploadDataset",
+  "downloadModel",
+  "cloneSdScripts",
+  "installPythonRequirements",
+  "launchTraining",
+];
+
+/**
+ * createJournal()
+ *
+ * Returns a fresh journal for a new run.
+ */
+function createJournal() {
+  return {
+    startedAt: new Date().toISOString(),
+    updatedAt: null,
+    podId: null,
+    gpu: null,
+    instance: null,
+    ssh: { keyPath: null, hostKeys: {} },
+    spentUsd: 0,
+    completedStages: [],
+  };
+}
+
+/**
+ * estimateRunCost(journal, until)
+ *
+ * Estimates what the run has cost so far in USD: earlier pods' cost plus the
+ * current pod's hourly price times its uptime (until now by default).
+ */
+function estimateRunCost(journal, until = new Date()) {
+  const spent = journal.spentUsd || 0;
+  if (!journal.gpu || !journal.gpu.deployedAt || !journal.gpu.pricePerHour) {
+    return spent;
+  }
+  const hours = Math.max(0, until - new Date(journal.gpu.deployedAt)) / 3600000;
+  return spent + hours * journal.gpu.pricePerHour;
+}
+
+/**
+ * estimateRunSeconds(journal, until)
+ *
+ * Returns how long the run's pods have been up in seconds: earlier pods'
+ * uptime plus the current pod's (until now by default).
+ */
+function estimateRunSeconds(journal, until = new Date()) {
+  const earlier = journal.runtimeSeconds || 0;
+  if (!journal.gpu || !journal.gpu.deployedAt) {
+    return earlier;
+  }
+  return earlier + Math.max(0, until - new Date(journal.gpu.deployedAt)) / 1000;
+}
+
+/**
+ * loadJournal(journalPath)
+ *
+ * Reads the journal from disk. Returns null if there is none.
+ */
+function loadJournal(journalPath) {
+  if (!fs.existsSync(journalPath)) {
+    return null;
+  }
+  try {
+    return fs.readJsonSync(journalPath);
+  } catch (error) {
+    throw new Error(`Failed to read run journal ${journalPath}: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * saveJournal(journal, config)
+ *
+ * Writes the journal to config.journalPath.
+ */
+function saveJournal(journal, config) {
+  journal.updatedAt = new Date().toISOString();
+  fs.outputJsonSync(config.journalPath, journal, { spaces: 2 });
+  log.trace(`Run journal saved to ${config.journalPath}`);
+}
+
+/**
+ * completeStage(journal, stage, config)
+ *
+ * Marks a stage as finished, persists the journal and emits the stage event.
+ */
+function completeStage(journal, stage, config) {
+  if (!journal.completedStages.includes(stage)) {
+    journal.completedStages.push(stage);
+  }
+  saveJournal(journal, config);
+  emitStage(stage, "completed");
+}
+
+/**
+ * reattachToPod(graphqlClient, journal, config)
+ *
+ * Makes sure the journal's pod is running again. A stopped pod loses its
+ * container disk, so remote stages are cleared when no network volume is attached.
+ * A spot pod that no longer exists is replaced on the next deploy.
+ */
+async function reattachToPod(graphqlClient, journal, config) {
+  log.info(`🔁 Resuming run on pod ${journal.podId}...`);
+  const pod = await getPod(graphqlClient, journal.podId, config);
+  if (!pod && config.cloudMode === "spot") {
+    log.warn(`⚠️  Spot pod ${journal.podId} no longer exists. A new pod will be deployed.`);
+    journal.podId = null;
+    journal.completedStages = journal.completedStages.filter(
+      (stage) => stage !== "deploy" && !REMOTE_STAGES.includes(stage)
+    );
+    saveJournal(journal, config);
+    return;
+  }
+  if (!pod) {
+    throw new Error(`Pod ${journal.podId} no longer exists. Remove ${config.journalPath} and start a new run.`);
+  }
+  if (pod.desiredStatus !== "RUNNING") {
+    await resumeRunPodInstance(graphqlClient, journal.podId, config, journal.bidPerGpu);
+    // The restarted container generates new SSH host keys.
+    delete journalSsh(journal).hostKeys[journal.podId];
+    // The GPU was not billed while the pod was down; assume it went down at the last journal update.
+    if (journal.gpu && journal.gpu.deployedAt) {
+      journal.spentUsd = estimateRunCost(journal, new Date(journal.updatedAt));
+      journal.runtimeSeconds = estimateRunSeconds(journal, new Date(journal.updatedAt));
+      journal.gpu.deployedAt = new Date().toISOString();
+    }
+    if (!hasNetworkVolume(config)) {
+      journal.completedStages = journal.completedStages.filter((stage) => !REMOTE_STAGES.includes(stage));
+      saveJournal(journal, config);
+    }
+  }
+}
+
+// ---------------------------------------------------------------------
+// Teardown
+// ---------------------------------------------------------------------
+/**
+ * teardownActiveRun(reason, config)
+ *
+ * Closes the SSH connection and stops or terminates the active pod, and those
+ * of the queue workers running beside it. Safe to call more than once.
+ */
+async function teardownActiveRun(reason, config) {
+  const run = activeRun();
+  if (run.tearingDown) {
+    return;
+  }
+  run.tearingDown = true;
+  run.stopReason = reason;
+  const workers = run.workers.filter((worker) => !worker.tearingDown);
+  if (workers.length > 0) {
+    log.info(`🧹 ${reason}: tearing down the pods of ${workers.length} queue worker(s)...`);
+    await Promise.all(workers.map((worker) => runContext.run(worker, () => teardownActiveRun(reason, config))));
+  }
+  if (run.ssh) {
+    run.ssh.end();
+  }
+  if (run.podId) {
+    log.info(`🧹 ${reason}: running ${config.teardownMode} on pod ${run.podId}...`);
+    await run.provider.stop(run.podId, config);
+    run.podId = null;
+  }
+}
+
+/**
+ * createGraphQLClient(config)
+ *
+ * Creates a GraphQL client for the RunPod API using the configured API key.
+ */
+function createGraphQLClient(config) {
+  return new ApolloClient({
+    link: new HttpLink({
+      uri: "https://api.runpod.io/graphql",
+      fetch: fetch,
+      useGETForQueries: false,
+      headers: {
+        Authorization: `Bearer ${config.runpodApiKey}`,
+        "Content-Type": "application/json"
+      },
+    }),
+    cache: new InMemoryCache(),
+  });
+}
+
+/**
+ * cleanup(graphqlClient, config, confirm)
+ *
+ * Lists pods created by this tool that still exist (running or stopped, both
+ * of which bill) and terminates them once confirm(pods) resolves to true.
+ * Without confirm they are only terminated with config.yes.
+ */
+async function cleanup(graphqlClient, config, confirm = async () => false) {
+  const pods = await listToolPods(graphqlClient, config);
+  if (pods.length === 0) {
+    log.info(`✅ No pods named "${config.podName}" found.`);
+    return;
+  }
+  log.info(`Found ${pods.length} pod(s) named "${config.podName}":`);
+  pods.forEach((pod) => {
+    const gpu = pod.machine ? pod.machine.gpuDisplayName : "unknown GPU";
+    log.info(`  ${pod.id}  ${pod.desiredStatus}  ${gpu}  $${pod.costPerHr}/hr`);
+  });
+  if (!config.yes && !(await confirm(pods))) {
+    log.info("Aborted.");
+    return;
+  }
+  for (const pod of pods) {
+    await terminateRunPodInstance(graphqlClient, pod.id, config);
+  }
+}
+
+// ---------------------------------------------------------------------
+// Guardrails
+// ---------------------------------------------------------------------
+// Spend, runtime and idle-GPU limits that stop a run before it burns money.
+
+/**
+ * shutDownForLimit(reason, journal, config)
+ *
+ * Stops the training, downloads the output produced so far and tears the pod
+ * down, which makes the run fail with a LimitReachedError. The journal is
+ * kept, so the run can be resumed with a higher limit.
+ */
+async function shutDownForLimit(reason, journal, config) {
+  if (activeRun().limitShutdown || activeRun().tearingDown) {
+    return;
+  }
+  activeRun().limitReason = reason;
+  activeRun().limitShutdown = (async () => {
+    log.error(`\n🛑 ${reason}. Saving the output and shutting the pod down.`);
+    if (activeRun().ssh && journal.instance) {
+      try {
+        if (journal.training && journal.training.pid) {
+          await executeCommand(activeRun().ssh, `kill -TERM -- -${journal.training.pid} 2>/dev/null || true`, config);
+        }
+        await downloadOutput(journal.instance, journal.instance.username, config.trainOutputDir, config.localOutputDir, journal, config);
+        log.info(`📊 Training report written to ${writeTrainingReport(journal, config)}`);
+      } catch (error) {
+        log.error(`⚠️  Could not save the output: ${error.message}`);
+      }
+    }
+    await teardownActiveRun(reason, config);
+  })();
+  await activeRun().limitShutdown;
+}
+
+/**
+ * startBudgetGuard(journal, config)
+ *
+ * Checks the run's cost and pod uptime against maxSpendUsd and
+ * maxRuntimeMinutes every 30 seconds, warning at budgetWarningThresholds and
+ * shutting down at the limit. Returns an async function that stops the checks.
+ */
+function startBudgetGuard(journal, config) {
+  const limits = [];
+  if (config.maxSpendUsd) {
+    limits.push({ name: "spend", max: config.maxSpendUsd, used: () => estimateRunCost(journal), format: (value) => `$${value.toFixed(2)}` });
+  }
+  if (config.maxRuntimeMinutes) {
+    limits.push({ name: "runtime", max: config.maxRuntimeMinutes, used: () => estimateRunSeconds(journal) / 60, format: (value) => formatDuration(value * 60) });
+  }
+  if (limits.length === 0) {
+    return async () => {};
+  }
+  const warned = new Set();
+  const check = async () => {
+    for (const limit of limits) {
+      const used = limit.used();
+      if (used >= limit.max) {
+        await shutDownForLimit(`The ${limit.name} limit of ${limit.format(limit.max)} is reached`, journal, config);
+        return;
+      }
+      const threshold = config.budgetWarningThresholds.filter((value) => used >= value * limit.max).pop();
+      if (threshold && !warned.has(`${limit.name}:${threshold}`)) {
+        warned.add(`${limit.name}:${threshold}`);
+        log.warn(`\n💸 ${Math.round(threshold * 100)}% of the ${limit.name} limit used (${limit.format(used)} of ${limit.format(limit.max)}).`);
+      }
+    }
+  };
+  return startPeriodicTask("Budget check", 30, check);
+}
+
+/**
+ * startIdleGpuWatchdog(journal, config)
+ *
+ * Polls GPU utilization with nvidia-smi every minute while training and shuts
+ * down when every GPU stayed at or below idleGpuUtilizationPercent for
+ * idleGpuMinutes. Returns an async function that stops the watchdog.
+ */
+function startIdleGpuWatchdog(journal, config) {
+  if (!config.idleGpuMinutes) {
+    return async () => {};
+  }
+  let idleSince = null;
+  return startPeriodicTask("GPU utilization check", 60, async () => {
+    // Skip the check while a dropped connection is being re-established.
+    if (!activeRun().ssh) {
+      return;
+    }
+    const output = await captureCommand(activeRun().ssh, "nvidia-smi --query-gpu=utilization.gpu --format=csv,noheader,nounits", config);
+    const utilization = output.split("\n").filter((line) => line.trim()).map(Number).filter((value) => !isNaN(value));
+    if (utilization.length === 0) {
+      return;
+    }
+    if (Math.max(...utilization) > config.idleGpuUtilizationPercent) {
+      idleSince = null;
+      return;
+    }
+    idleSince = idleSince || Date.now();
+    if (Date.now() - idleSince >= config.idleGpuMinutes * 60000) {
+      await shutDownForLimit(`The GPU has been idle for ${config.idleGpuMinutes} minutes`, journal, config);
+    }
+  });
+}
+
+// ---------------------------------------------------------------------
+// Providers
+// ---------------------------------------------------------------------
+// A provider supplies the machine the remote stages run on over SSH:
+//   chooseMachine(journal, config)     -> candidates for start
+//   start(candidates, journal, config) -> records journal.podId and journal.gpu
+//   waitReady(podId, config)           -> { ip, publicPort, username } once reachable
+//   stop(podId, config)                -> releases the machine (teardownMode)
+// plus getMachine, reattach, isPreempted, terminate, printMachines, cleanup and
+// planStart for resume, spot retries and the gpus, logs, status, cleanup and plan actions.
+const PROVIDERS = {
+  runpod: createRunPodProvider,
+  "ssh-host": createSshHostProvider,
+};
+
+/**
+ * createProvider(config)
+ *
+ * Creates the provider named by config.provider.
+ */
+function createProvider(config) {
+  return PROVIDERS[config.provider](config);
+}
+
+/**
+ * createRunPodProvider(config)
+ *
+ * Rents pods on RunPod: GPU types are ranked by gpuStrategy, deployed on
+ * demand or as spot pods and stopped or terminated at the end.
+ */
+function createRunPodProvider(config) {
+  if (!config.runpodApiKey) {
+    throw new Error("No RunPod API key. Set RUNPOD_API_KEY, runpodApiKey in the config or pass --runpodApiKey.");
+  }
+  const graphqlClient = createGraphQLClient(config);
+  return {
+    name: "runpod",
+    async chooseMachine(journal, config) {
+      // Network volumes pin the pod to the volume's data center.
+      if (hasNetworkVolume(config)) {
+        const volume = await ensureNetworkVolume(graphqlClient, config);
+        journal.networkVolume = { id: volume.id, name: volume.name, dataCenterId: volume.dataCenterId };
+      }
+      return chooseGpuCandidates(graphqlClient, withNetworkVolume(journal, config));
+    },
+    start: (candidates, journal, config) => deployPod(graphqlClient, candidates, journal, withNetworkVolume(journal, config)),
+    async waitReady(podId, config) {
+      const instance = await waitForPodReady(graphqlClient, podId, config);
+      return { ip: instance.ip, publicPort: instance.publicPort, username: "root" };
+    },
+    stop: (podId, config) => teardownPod(graphqlClient, podId, config),
+    terminate: (podId, config) => terminateRunPodInstance(graphqlClient, podId, config),
+    getMachine: (podId, config) => getPod(graphqlClient, podId, config),
+    reattach: (journal, config) => reattachToPod(graphqlClient, journal, config),
+    isPreempted: async (podId, config) => config.cloudMode === "spot" && isPodPreempted(graphqlClient, podId, config),
+    printMachines: async (config) => printGpuTable(await chooseGpuCandidates(graphqlClient, config), config),
+    cleanup: (config, confirm) => cleanup(graphqlClient, config, confirm),
+    async planStart(config) {
+      const notes = [];
+      let planConfig = config;
+      if (hasNetworkVolume(config)) {
+        const volume = await findNetworkVolume(graphqlClient, config);
+        if (volume) {
+          planConfig = { ...config, networkVolumeId: volume.id, dataCenterId: volume.dataCenterId };
+          notes.push(`Attaches network volume ${volume.name} (${volume.size}GB in ${volume.dataCenterId}).`);
+        } else {
+          notes.push(`Creates network volume "${config.networkVolumeName}" (${config.networkVolumeSizeGb}GB in ${config.dataCenterId}).`);
+        }
+      }
+      const candidates = await chooseGpuCandidates(graphqlClient, planConfig);
+      printGpuTable(candidates, planConfig);
+      const gpu = candidates[0];
+      const isSpot = config.cloudMode === "spot";
+      const pricePerGpu = (candidate) => (isSpot ? computeBidPrice(candidate, planConfig) : candidate.lowestPrice.uninterruptablePrice);
+      const prices = candidates.map((candidate) => pricePerGpu(candidate) * config.gpuCount);
+      const input = podDeployInput(planConfig, gpu, config.sshKeyMode === "ephemeral" ? "<generated for the run>" : null);
+      if (candidates.length > 1) {
+        notes.push(`Falls back to the next ${candidates.length - 1} GPU type(s) above if ${gpu.displayName} has no capacity.`);
+      }
+      return {
+        machine: `${gpu.displayName} (${gpu.memoryInGb}GB) x${config.gpuCount}, ${config.cloudMode}`,
+        notes,
+        request: {
+          mutation: isSpot ? "podRentInterruptable" : "podFindAndDeployOnDemand",
+          variables: { input: isSpot ? { ...input, bidPerGpu: pricePerGpu(gpu) } : input },
+        },
+        pricePerHour: [prices[0], Math.max(...prices)],
+      };
+    },
+  };
+}
+
+/**
+ * sshHostId(config)
+ *
+ * Returns the ID an ssh-host machine is recorded under in the journal.
+ */
+function sshHostId(config) {
+  return `${config.sshHost.host}:${config.sshHost.port}`;
+}
+
+/**
+ * createSshHostProvider(config)
+ *
+ * Trains on an existing machine reachable over SSH (sshHost), e.g. an
+ * on-prem GPU server or a local test container. Nothing is started or
+ * stopped; the run's cost is sshHost.pricePerHour.
+ */
+function createSshHostProvider(config) {
+  const describe = (config) => `${config.sshHost.username}@${sshHostId(config)}`;
+  return {
+    name: "ssh-host",
+    chooseMachine: async (journal, config) => [{ id: "ssh-host", displayName: describe(config) }],
+    async start([machine], journal, config) {
+      log.info(`✅ Using host ${machine.displayName}`);
+      journal.podId = sshHostId(config);
+      journal.gpu = {
+        id: machine.id,
+        displayName: machine.displayName,
+        memoryInGb: null,
+        count: config.gpuCount,
+        pricePerHour: config.sshHost.pricePerHour,
+        deployedAt: new Date().toISOString(),
+      };
+    },
+    waitReady: async (podId, config) => ({
+      ip: config.sshHost.host,
+      publicPort: config.sshHost.port,
+      username: config.sshHost.username,
+    }),
+    stop: async (podId) => log.info(`🖥️  Leaving host ${podId} as it is.`),
+    terminate: async () => {},
+    getMachine: async (podId) => ({ id: podId, desiredStatus: "RUNNING" }),
+    reattach: async (journal, config) => log.info(`🔁 Resuming run on host ${describe(config)}...`),
+    isPreempted: async () => false,
+    printMachines: async (config) => log.info(`Training runs on ${describe(config)} (provider "ssh-host").`),
+    cleanup: async () => log.info(`✅ The ssh-host provider starts no machines, nothing to clean up.`),
+    planStart: async (config) => ({
+      machine: describe(config),
+      notes: ["An existing machine: nothing is started or stopped."],
+      request: null,
+      // Without a pricePerHour the machine's cost is unknown rather than free.
+      pricePerHour: config.sshHost.pricePerHour ? [config.sshHost.pricePerHour, config.sshHost.pricePerHour] : null,
+    }),
+  };
+}
+
+// ---------------------------------------------------------------------
+// Plan
+// ---------------------------------------------------------------------
+// Shows what a run would do, read-only: the machine and deploy request, the
+// upload, every remote command and a cost estimate. No mutations, no SSH and
+// no local files written.
+
+// Time a new machine spends on deploy, model download and installs, in minutes.
+const PLAN_SETUP_MINUTES = [10, 30];
+
+/**
+ * printPlan(provider, config)
+ *
+ * Prints the plan of a run with this config.
+ */
+async function printPlan(provider, config) {
+  log.info("📝 Plan: nothing is deployed and no SSH connection is made.\n");
+  const report = validateDataset(config);
+  if (!printValidationReport(report, config, { writeReport: false })) {
+    log.warn("⚠️  The dataset has errors, a run would stop before deploying.");
+  }
+
+  const machine = await provider.planStart(config);
+  log.info(`\n🖥️  Machine: ${machine.machine}`);
+  machine.notes.forEach((note) => log.info(`   ${note}`));
+  if (machine.request) {
+    log.info(`\n🚀 Deploy mutation ${machine.request.mutation}:`);
+    log.info(redactSecrets(JSON.stringify(machine.request.variables, null, 2), config));
+  }
+
+  if (fs.existsSync(config.localDatasetPath)) {
+    const manifest = await hashLocalFiles(config.localDatasetPath);
+    const files = Object.keys(manifest).sort();
+    const totalBytes = files.reduce((sum, file) => sum + manifest[file].size, 0);
+    log.info(`\n📤 Upload: ${files.length} file(s), ${formatBytes(totalBytes)}, ${config.localDatasetPath} -> ${config.remoteDatasetPath}`);
+    if (!fs.existsSync(path.join(config.localDatasetPath, config.datasetConfigFile))) {
+      log.info(`   plus ${config.datasetConfigFile}, generated from the dataset folders`);
+    }
+    files.forEach((file) => log.info(`   ${formatBytes(manifest[file].size).padStart(9)}  ${file}`));
+  }
+
+  const commands = [
+    ["uploadDataset", `${extractArchiveCommand(config.remoteDatasetPath)}   # the files above as a gzipped tar on stdin`],
+    ["downloadModel", `mkdir -p ${config.trainOutputDir} ${config.remoteModelsPath}`],
+    ...modelSpecs(config).map((spec) => ["downloadModel", modelDownloadCommand(resolveModelSource(spec.path, config), spec.sha256)]),
+    ["cloneSdScripts", cloneSdScriptsCommand(config)],
+    ["installPythonRequirements", installPythonRequirementsCommand(config)],
+    ["launchTraining", `cat > ${trainingConfigPath(config)} << 'EOF_TOML'\n${TOML.stringify(buildTrainingConfig(config))}EOF_TOML`],
+  ];
+  if (config.training.samplePrompts.length > 0) {
+    commands.push(["launchTraining", `cat > ${config.volumeMountPath}/sample_prompts.txt << 'EOF_PROMPTS'\n${buildSamplePrompts(config)}EOF_PROMPTS`]);
+  }
+  commands.push(["launchTraining", `${trainingCommand(trainingConfigPath(config), null, config)}   # detached, in ${trainingJobDir("<job>", config)}`]);
+  log.info("\n🧾 Remote commands:");
+  commands.forEach(([stage, command]) => {
+    log.info(`\n[${stage}]`);
+    log.info(redactSecrets(command, config));
+  });
+  log.info(`\n[downloadOutput]\nSCP ${config.trainOutputDir} -> ${config.localOutputDir}`);
+  if (config.postprocess.resizeRank) {
+    log.info(`\n[processOutput]\n${resizeCommand(config)}`);
+  }
+  if (config.publish.huggingface) {
+    log.info(`\n[publishOutput]\n${huggingFaceUploadCommand([finalModelName(config), "model_info.json", "README.md", "sample/*.png"], config)}`);
+  }
+  if (config.publish.s3) {
+    log.info(`\n[publishOutput]\nPUT ${finalModelName(config)}, model_info.json, README.md and the last samples -> s3://${config.publish.s3.bucket}/${s3Prefix(config)}`);
+  }
+
+  if (!report.stats) {
+    return;
+  }
+  const [fastStep, slowStep] = RECIPES[config.recipe].secondsPerStep.map((seconds) => seconds * config.training.batchSize);
+  const shortest = report.stats.totalSteps * fastStep + PLAN_SETUP_MINUTES[0] * 60;
+  const longest = report.stats.totalSteps * slowStep + PLAN_SETUP_MINUTES[1] * 60;
+  if (!machine.pricePerHour) {
+    log.info(
+      `\n💰 Estimate: ${report.stats.totalSteps} steps, ${formatDuration(shortest)} to ${formatDuration(longest)} including setup, ` +
+      "cost unknown (set sshHost.pricePerHour to estimate it)."
+    );
+    return;
+  }
+  const [lowPrice, highPrice] = machine.pricePerHour;
+  const lowCost = (shortest / 3600) * lowPrice;
+  const highCost = (longest / 3600) * highPrice;
+  log.info(
+    `\n💰 Estimate: ${report.stats.totalSteps} steps, ${formatDuration(shortest)} to ${formatDuration(longest)} including setup, ` +
+    `$${lowCost.toFixed(2)} to $${highCost.toFixed(2)} at $${lowPrice.toFixed(3)}-$${highPrice.toFixed(3)}/hr.`
+  );
+  if (config.maxSpendUsd !== null && highCost > config.maxSpendUsd) {
+    log.warn(`⚠️  The estimate can exceed maxSpendUsd ($${config.maxSpendUsd}); the run would be stopped there.`);
+  }
+}
+
+// ---------------------------------------------------------------------
+// Notifications
+// ---------------------------------------------------------------------
+// Webhook targets get a message when the pod of a run is deployed, its
+// training starts, each epoch begins, and when the run completes or fails.
+// Deliveries are retried webhookRetries times; a target that stays down is
+// reported, never failing the run.
+const NOTIFICATION_EVENTS = ["deployed", "trainingStarted", "epoch", "completed", "failed"];
+const WEBHOOK_FORMATS = ["json", "slack", "discord"];
+// Discord rejects messages longer than this.
+const DISCORD_MAX_LENGTH = 2000;
+
+/**
+ * notificationText(event, details, config)
+ *
+ * Returns the human-readable message of a notification, as posted to Slack and Discord.
+ */
+function notificationText(event, details, config) {
+  const run = details.job ? `${config.training.outputName} (job ${details.job})` : config.training.outputName;
+  const cost = details.costUsd !== undefined && details.costUsd !== null ? `$${details.costUsd.toFixed(2)}` : null;
+  switch (event) {
+    case "deployed":
+      return `🚀 ${run}: pod ${details.podId} deployed (${details.gpu.count}x ${details.gpu.displayName}` +
+        `${details.gpu.pricePerHour ? `, $${details.gpu.pricePerHour.toFixed(2)}/hr` : ""}).`;
+    case "trainingStarted":
+      return `🏋️ ${run}: training started (${details.recipe}${details.resumedFrom ? `, resumed from ${details.resumedFrom}` : ""}).`;
+    case "epoch":
+      return `📈 ${run}: epoch ${details.epoch}/${details.totalEpochs} started` +
+        `${details.step ? `, step ${details.step}/${details.totalSteps}` : ""}` +
+        `${details.loss !== undefined && details.loss !== null ? `, loss ${details.loss.toFixed(4)}` : ""}${cost ? `, ${cost} so far` : ""}.`;
+    case "completed":
+      return `✅ ${run}: training completed in ${formatDuration(details.durationSeconds)} for ${cost}. Output in ${details.outputDir}:\n` +
+        details.files.map((file) => `• ${file.path} (${formatBytes(file.size)})`).join("\n");
+    case "failed":
+      return `❌ ${run}: failed in stage ${details.stage || "unknown"} after ${formatDuration(details.durationSeconds)} (${cost}): ${details.error}` +
+        `${details.errorTail ? `\n\`\`\`\n${details.errorTail}\n\`\`\`` : ""}`;
+    default:
+      return `🔔 ${run}: webhook test from runpod_lora_train.`;
+  }
+}
+
+/**
+ * webhookBody(target, event, details, config)
+ *
+ * Returns the JSON body posted to a target in its format: Slack's { text },
+ * Discord's { content } or, for "json", the event with all its details.
+ */
+function webhookBody(target, event, details, config) {
+  const text = notificationText(event, details, config);
+  if (target.format === "slack") {
+    return { text };
+  }
+  if (target.format === "discord") {
+    return { content: text.length > DISCORD_MAX_LENGTH ? `${text.slice(0, DISCORD_MAX_LENGTH - 1)}…` : text };
+  }
+  return { event, time: new Date().toISOString(), outputName: config.training.outputName, ...details, text };
+}
+
+/**
+ * webhookName(target)
+ *
+ * Names a target without its URL's path, which holds the token of Slack and Discord webhooks.
+ */
+function webhookName(target) {
+  return `${target.format || "json"} webhook ${new URL(target.url).host}`;
+}
+
+/**
+ * postWebhook(target, body, config)
+ *
+ * Posts a JSON body to a target, retrying up to webhookRetries times with
+ * exponential backoff on network errors, 429 and 5xx responses.
+ */
+async function postWebhook(target, body, config) {
+  for (let attempt = 0; ; attempt++) {
+    let error;
+    try {
+      const response = await fetch(target.url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(15000),
+      });
+      if (response.ok) {
+        return;
+      }
+      error = new Error(`HTTP ${response.status} ${response.statusText}`.trim());
+      if (response.status !== 429 && response.status < 500) {
+        throw error;
+      }
+    } catch (requestError) {
+      if (requestError === error) {
+        throw error;
+      }
+      error = requestError;
+    }
+    if (attempt >= config.webhookRetries) {
+      throw error;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 1000 * 2 ** attempt));
+  }
+}
+
+/**
+ * notify(event, details, config)
+ *
+ * Sends a notification to every webhook target subscribed to the event.
+ * Never rejects: failed deliveries are logged. The delivery is tracked in the
+ * run state, so the end of the run can wait for it.
+ */
+function notify(event, details, config) {
+  const targets = config.webhooks.filter((target) => !target.events || [].concat(target.events).includes(event));
+  if (targets.length === 0) {
+    return Promise.resolve();
+  }
+  const run = activeRun();
+  const payload = { ...details, job: run.job };
+  const delivery = Promise.all(targets.map(async (target) => {
+    try {
+      await postWebhook(target, webhookBody(target, event, payload, config), config);
+      log.debug(`Sent ${event} notification to ${webhookName(target)}`);
+    } catch (error) {
+      log.warn(`⚠️  Could not send the ${event} notification to ${webhookName(target)}: ${error.message}`);
+    }
+  }));
+  run.notifications.add(delivery);
+  return delivery.finally(() => run.notifications.delete(delivery));
+}
+
+/**
+ * errorTail(error)
+ *
+ * Returns the last lines of the output behind an error (the stderr of a
+ * failed remote command, also when it is the cause of a StageError), or null.
+ */
+function errorTail(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current.stderrTail) {
+      return current.stderrTail.split("\n").slice(-15).join("\n").slice(-1500);
+    }
+  }
+  return null;
+}
+
+/**
+ * outputFiles(config)
+ *
+ * Returns the model files in localOutputDir with their sizes, for the completed notification.
+ */
+function outputFiles(config) {
+  if (!fs.existsSync(config.localOutputDir)) {
+    return [];
+  }
+  return listFiles(config.localOutputDir)
+    .filter((file) => /\.(safetensors|ckpt|pt)$/.test(file))
+    .map((file) => ({ path: path.relative(config.localOutputDir, file), size: fs.statSync(file).size }));
+}
+
+/**
+ * notifyRunEnd(journal, config, error)
+ *
+ * Sends the completed notification of a run, or the failed one with the
+ * failing stage and the error's tail, once per run, after the notifications
+ * still on their way.
+ */
+function notifyRunEnd(journal, config, error = null) {
+  const run = activeRun();
+  if (!run.runEnd || run.runEnd.journal !== journal) {
+    run.runEnd = { journal, delivery: sendRunEnd(journal, config, error) };
+  }
+  return run.runEnd.delivery;
+}
+
+/**
+ * sendRunEnd(journal, config, error)
+ *
+ * Sends the completed or failed notification of notifyRunEnd.
+ */
+async function sendRunEnd(journal, config, error) {
+  const run = activeRun();
+  await Promise.all([...run.notifications]);
+  const summary = {
+    durationSeconds: Math.max(0, Date.now() - new Date(journal.startedAt)) / 1000,
+    costUsd: estimateRunCost(journal),
+    outputDir: config.localOutputDir,
+  };
+  if (error) {
+    await notify("failed", { ...summary, stage: error.stage || run.stage, error: error.message.split("\n")[0].replace(/:$/, ""), errorTail: errorTail(error) }, config);
+  } else {
+    await notify("completed", { ...summary, files: outputFiles(config) }, config);
+  }
+}
+
+/**
+ * testNotifications(config)
+ *
+ * Sends a test message to every webhook target, regardless of its events.
+ * Returns true if all of them accepted it.
+ */
+async function testNotifications(config) {
+  if (config.webhooks.length === 0) {
+    log.warn("⚠️  No webhooks configured.");
+    return false;
+  }
+  const results = await Promise.all(config.webhooks.map(async (target) => {
+    try {
+      await postWebhook(target, webhookBody(target, "test", {}, config), config);
+      log.info(`✅ ${webhookName(target)}: test notification delivered.`);
+      return true;
+    } catch (error) {
+      log.error(`❌ ${webhookName(target)}: ${error.message}`);
+      return false;
+    }
+  }));
+  return results.every(Boolean);
+}
+
+// ---------------------------------------------------------------------
+// Pipeline
+// ---------------------------------------------------------------------
+
+/**
+ * stageTimeoutMs(stage, config)
+ *
+ * Returns the configured timeout of a stage's remote commands in milliseconds, or null.
+ */
+function stageTimeoutMs(stage, config) {
+  const minutes = config.stageTimeoutsMinutes[stage];
+  return minutes ? minutes * 60000 : null;
+}
+
+/**
+ * runStage(stage, fn, journal, config)
+ *
+ * Runs a stage unless the journal lists it as completed, retrying it up to
+ * stageRetries[stage] times with exponential backoff, and records it as
+ * completed. Preemptions and stopped runs are not retried here; the caller
+ * replaces the pod or gives up. Throws a StageError once the retries are used up.
+ */
+async function runStage(stage, fn, journal, config) {
+  if (activeRun().tearingDown) {
+    throw new RunStoppedError(activeRun().stopReason);
+  }
+  if (journal.completedStages.includes(stage)) {
+    emitStage(stage, "skipped");
+    return;
+  }
+  const retries = config.stageRetries[stage] || 0;
+  emitStage(stage, "started");
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await fn();
+      break;
+    } catch (error) {
+      if (error instanceof PodPreemptedError || activeRun().tearingDown) {
+        emitStage(stage, "failed", { error });
+        throw error;
+      }
+      if (attempt >= retries) {
+        log.debug(`Stage ${stage} failed after ${attempt + 1} attempt(s): ${error.message}`);
+        emitStage(stage, "failed", { error });
+        throw new StageError(stage, attempt + 1, error);
+      }
+      const delay = config.retryBackoffSeconds * 2 ** attempt;
+      log.warn(`⚠️  Stage ${stage} failed: ${error.message}`);
+      log.warn(`   Retrying in ${delay}s (${attempt + 1}/${retries})...`);
+      emitStage(stage, "retrying", { error, attempt: attempt + 1, retries, delaySeconds: delay });
+      await new Promise((resolve) => setTimeout(resolve, delay * 1000));
+    }
+  }
+  completeStage(journal, stage, config);
+}
+
+/**
+ * deployPod(graphqlClient, candidates, journal, config)
+ *
+ * Deploys a pod on the first candidate GPU type that has capacity, falling back
+ * to the next candidate when RunPod reports none left, and records it in the journal.
+ */
+async function deployPod(graphqlClient, candidates, journal, config) {
+  const publicKey = ensureEphemeralKey(journal, config);
+  for (const [index, gpu] of candidates.entries()) {
+    log.info(`✅ Selected GPU type: ${gpu.displayName} (${gpu.memoryInGb}GB) x${config.gpuCount}`);
+    log.info(
+      `   On-Demand Price: ${gpu.lowestPrice.uninterruptablePrice} | Spot Price: ${gpu.lowestPrice.minimumBidPrice} | Availability: ${gpu.lowestPrice.rentedCount}/${gpu.lowestPrice.totalCount}`
+    );
+    try {
+      if (config.cloudMode === "spot") {
+        journal.bidPerGpu = computeBidPrice(gpu, config);
+        journal.podId = await startRentPodInstance(graphqlClient, config, gpu, journal.bidPerGpu, publicKey);
+      } else {
+        journal.podId = await startRunPodInstance(graphqlClient, config, gpu, publicKey);
+      }
+    } catch (error) {
+      if (!isCapacityError(error) || index === candidates.length - 1) {
+        throw error;
+      }
+      log.warn(`⚠️  No capacity for ${gpu.displayName}, trying the next GPU type...`);
+      continue;
+    }
+    const pricePerGpu = config.cloudMode === "spot" ? journal.bidPerGpu : gpu.lowestPrice.uninterruptablePrice;
+    journal.gpu = {
+      id: gpu.id,
+      displayName: gpu.displayName,
+      memoryInGb: gpu.memoryInGb,
+      count: config.gpuCount,
+      pricePerHour: pricePerGpu * config.gpuCount,
+      deployedAt: new Date().toISOString(),
+    };
+    return;
+  }
+}
+
+/**
+ * deployMachine(provider, journal, config)
+ *
+ * Runs the deploy stage unless the journal lists it as completed: validates
+ * the dataset, then chooses and starts the machine.
+ */
+async function deployMachine(provider, journal, config) {
+  if (journal.completedStages.includes("deploy")) {
+    emitStage("deploy", "skipped");
+    return;
+  }
+  emitStage("deploy", "started");
+  try {
+    // Preflight: don't pay for a pod to find out the dataset is broken.
+    const report = validateDataset(config);
+    if (!printValidationReport(report, config)) {
+      throw new DatasetValidationError(report);
+    }
+
+    // 0. Choose the machine, e.g. rank the GPU types that meet the criteria.
+    const candidates = await provider.chooseMachine(journal, config);
+
+    // 1. Start it, e.g. deploy a new pod.
+    await provider.start(candidates, journal, config);
+  } catch (error) {
+    emitStage("deploy", "failed", { error });
+    throw error;
+  }
+  activeRun().podId = journal.podId;
+  if (activeRun().tearingDown) {
+    // Stopped while the pod was starting, which teardown could not see yet.
+    await provider.stop(journal.podId, config);
+    activeRun().podId = null;
+    throw new RunStoppedError(activeRun().stopReason);
+  }
+  completeStage(journal, "deploy", config);
+  notify("deployed", { podId: journal.podId, gpu: journal.gpu }, config);
+}
+
+/**
+ * connectMachine(provider, journal, config)
+ *
+ * Waits until the journal's machine is ready and connects to it over SSH (as
+ * "root" on RunPod). The address can change when a pod is restarted, so this
+ * runs before the remote stages of every attempt. Returns the instance.
+ */
+async function connectMachine(provider, journal, config) {
+  const instance = await provider.waitReady(journal.podId, config);
+  journal.instance = instance;
+  saveJournal(journal, config);
+  activeRun().ssh = await waitForSSH(instance, instance.username, journal, config);
+  return instance;
+}
+
+// The stages that run on the connected machine, in order, each called as
+// step(provider, journal, config). They use the run's current connection,
+// which is replaced when it drops during training.
+const PIPELINE_STEPS = {
+  // 4. Upload the dataset, and its sd-scripts dataset config if it is generated.
+  uploadDataset: async (provider, journal, config) => {
+    const generatedConfigPath = prepareDatasetConfig(config);
+    await uploadDataset(activeRun().ssh, config.localDatasetPath, config.remoteDatasetPath, config);
+    if (generatedConfigPath) {
+      const remoteConfigPath = `${config.remoteDatasetPath}/${config.datasetConfigFile}`;
+      await streamToCommand(activeRun().ssh, `cat > ${shellQuote(remoteConfigPath)}`, fs.createReadStream(generatedConfigPath), config);
+    }
+  },
+
+  // 5. Download the base model.
+  downloadModel: (provider, journal, config) => downloadModel(activeRun().ssh, config),
+
+  // 6. Clone the sd-scripts repository.
+  cloneSdScripts: (provider, journal, config) => cloneSdScripts(activeRun().ssh, config),
+
+  // 7. Install Python requirements.
+  installPythonRequirements: (provider, journal, config) => installPythonRequirements(activeRun().ssh, config),
+
+  // 8. Launch the LoRA training, continuing from the last saved state after a preemption.
+  launchTraining: async (provider, journal, config) => {
+    const { instance, podId } = journal;
+    const resumeStatePath = journal.latestState
+      ? await uploadTrainingState(instance, instance.username, journal, config)
+      : null;
+    const stopSyncs = [
+      startPeriodicTask("Checkpoint and sample sync", config.artifactSyncIntervalSeconds,
+        () => syncTrainingArtifacts(activeRun().ssh, instance, instance.username, journal, config)),
+      startIdleGpuWatchdog(journal, config),
+    ];
+    if (config.cloudMode === "spot") {
+      stopSyncs.push(startPeriodicTask("Training state sync", config.stateSyncIntervalSeconds,
+        () => syncLatestState(activeRun().ssh, instance, instance.username, journal, config)));
+    }
+    try {
+      await launchTraining(activeRun().ssh, config.remoteDatasetPath, config.trainOutputDir, config.remoteModelsPath, config, resumeStatePath, journal);
+    } catch (error) {
+      // A preempted pod drops the connection, which ends the command.
+      if (!activeRun().tearingDown && await provider.isPreempted(podId, config)) {
+        throw new PodPreemptedError(podId);
+      }
+      throw error;
+    } finally {
+      for (const stopSync of stopSyncs) {
+        await stopSync();
+      }
+    }
+  },
+
+  // 9. Download the training output.
+  downloadOutput: (provider, journal, config) => downloadOutput(journal.instance, journal.instance.username, config.trainOutputDir, config.localOutputDir, journal, config),
+
+  // 10. Resize the final model if asked to, hash it and write the model card.
+  processOutput: (provider, journal, config) => processOutput(activeRun().ssh, journal, config),
+
+  // 11. Publish the models, card and samples.
+  publishOutput: (provider, journal, config) => publishOutput(activeRun().ssh, journal, config),
+};
+
+/**
+ * runStages(provider, journal, config)
+ *
+ * Runs every stage from deployment to publishing that the journal does
+ * not list as completed.
+ */
+async function runStages(provider, journal, config) {
+  await deployMachine(provider, journal, config);
+  await connectMachine(provider, journal, config);
+  for (const [stage, step] of Object.entries(PIPELINE_STEPS)) {
+    await runStage(stage, () => step(provider, journal, config), journal, config);
+  }
+  log.info(`📊 Training report written to ${writeTrainingReport(journal, config)}`);
+
+  // Close the SSH connection (replaced if it dropped during training).
+  activeRun().ssh.end();
+  activeRun().ssh = null;
+}
+
+/**
+ * stopMachine(provider, journal, config)
+ *
+ * Runs the stopPod stage: closes the SSH connection and stops or terminates
+ * the journal's machine (teardownMode).
+ */
+async function stopMachine(provider, journal, config) {
+  emitStage("stopPod", "started");
+  if (activeRun().ssh) {
+    activeRun().ssh.end();
+    activeRun().ssh = null;
+  }
+  try {
+    await provider.stop(journal.podId, config);
+  } catch (error) {
+    emitStage("stopPod", "failed", { error });
+    throw error;
+  }
+  activeRun().podId = null;
+  completeStage(journal, "stopPod", config);
+}
+
+/**
+ * journalForAttach(config)
+ *
+ * Returns the journal to attach with. For a --podId the journal doesn't know,
+ * starts one that assumes the pod got as far as training and adopts its latest job.
+ */
+function journalForAttach(config) {
+  const journal = loadJournal(config.journalPath);
+  if (!config.podId || (journal && journal.podId === config.podId)) {
+    return journal;
+  }
+  if (journal && !journal.completedStages.includes("stopPod")) {
+    throw new Error(`${config.journalPath} belongs to the unfinished run on pod ${journal.podId}. Pass another --journalPath to attach to pod ${config.podId}.`);
+  }
+  const attached = {
+    ...createJournal(),
+    podId: config.podId,
+    completedStages: ["deploy", ...REMOTE_STAGES.filter((stage) => stage !== "launchTraining")],
+    adoptLatestJob: true,
+  };
+  saveJournal(attached, config);
+  return attached;
+}
+
+/**
+ * replacePreemptedPod(provider, journal, config)
+ *
+ * Terminates a preempted spot pod and resets the journal so the next
+ * runStages call deploys a new pod and redoes the remote stages.
+ */
+async function replacePreemptedPod(provider, journal, config) {
+  if (activeRun().ssh) {
+    activeRun().ssh.end();
+    activeRun().ssh = null;
+  }
+  await provider.terminate(journal.podId, config);
+  activeRun().podId = null;
+  journal.spentUsd = estimateRunCost(journal);
+  journal.runtimeSeconds = estimateRunSeconds(journal);
+  journal.gpu = null;
+  journal.podId = null;
+  journal.instance = null;
+  journal.training = null;
+  journal.preemptions = (journal.preemptions || 0) + 1;
+  journal.completedStages = journal.completedStages.filter(
+    (stage) => stage !== "deploy" && !REMOTE_STAGES.includes(stage)
+  );
+  saveJournal(journal, config);
+}
+
+/**
+ * runStagesWithRetries(provider, journal, config)
+ *
+ * Runs the stages under the budget guard, re-provisioning preempted spot pods
+ * up to maxPreemptionRetries times. Throws a LimitReachedError when a
+ * guardrail stopped the run and a RunStoppedError when it was stopped.
+ */
+async function runStagesWithRetries(provider, journal, config) {
+  activeRun().journal = journal;
+  activeRun().config = config;
+  const stopBudgetGuard = startBudgetGuard(journal, config);
+  try {
+    for (let retries = 0; ; retries++) {
+      try {
+        await runStages(provider, journal, config);
+        return;
+      } catch (error) {
+        // A pod stopped by a guardrail or by Trainer.stop() is not a preemption.
+        if (activeRun().limitShutdown) {
+          await activeRun().limitShutdown;
+          throw new LimitReachedError(activeRun().limitReason);
+        }
+        if (activeRun().tearingDown) {
+          throw error instanceof RunStoppedError ? error : new RunStoppedError(activeRun().stopReason);
+        }
+        // Spot pods can also show up as plain SSH or SCP failures when they are reclaimed.
+        const preempted =
+          error instanceof PodPreemptedError ||
+          (journal.podId && await provider.isPreempted(journal.podId, config));
+        if (!preempted) {
+          throw error;
+        }
+        if (retries >= config.maxPreemptionRetries) {
+          throw new Error(`Pod ${journal.podId} was preempted and the retry limit (${config.maxPreemptionRetries}) is reached.`, { cause: error });
+        }
+        log.warn(`⚠️  Pod ${journal.podId} was preempted. Re-provisioning (${retries + 1}/${config.maxPreemptionRetries})...`);
+        await replacePreemptedPod(provider, journal, config);
+      }
+    }
+  } finally {
+    await stopBudgetGuard();
+  }
+}
+
+// ---------------------------------------------------------------------
+// Job Queue
+// ---------------------------------------------------------------------
+// Runs many jobs, each a partial config over the base config, one after the
+// other on a pod. A pod is reused by the next job when the pod requirements
+// match, and setup stages with the same inputs are not repeated. With
+// parallelPods > 1 one worker per pod takes jobs from the queue, each with a
+// run state of its own so it tears down its own pod.
+
+// Stages a job can inherit from the previous job on the same pod.
+const REUSABLE_STAGES = ["downloadModel", "cloneSdScripts", "installPythonRequirements"];
+
+/**
+ * buildJobs(specs, config)
+ *
+ * Turns job specs (partial configs with an optional "name") into
+ * { name, config } jobs. Each job gets its own localOutputDir (under the base
+ * one), journal and remote output directory unless the spec sets them.
+ * Throws if a job's config is invalid.
+ */
+function buildJobs(specs, config) {
+  const names = new Set();
+  const problems = [];
+  const jobs = specs.map((spec, index) => {
+    const { name: specName, ...overrides } = spec;
+    const name = String(specName || `job-${index + 1}`).replace(/[^\w.-]+/g, "_");
+    if (names.has(name)) {
+      problems.push(`Job name "${name}" is used more than once.`);
+    }
+    names.add(name);
+    const jobConfig = mergeConfig(config, overrides);
+    jobConfig.localOutputDir = overrides.localOutputDir || path.join(config.localOutputDir, name);
+    jobConfig.journalPath = overrides.journalPath || path.join(jobConfig.localOutputDir, "journal.json");
+    jobConfig.trainOutputDir = overrides.trainOutputDir || `${config.trainOutputDir}/${name}`;
+    configErrors(jobConfig).forEach((error) => problems.push(`Job ${name}: ${error}`));
+    return { name, config: jobConfig };
+  });
+  if (problems.length > 0) {
+    throw new Error(`Invalid jobs:\n  ${problems.join("\n  ")}`);
+  }
+  return jobs.map((job) => ({ ...job, config: normalizeConfig(job.config) }));
+}
+
+/**
+ * loadJobs(config)
+ *
+ * Reads the jobs of config.jobsFile, a list of job specs or { "jobs": [...] } in
+ * JSON, YAML or TOML.
+ */
+function loadJobs(config) {
+  if (!config.jobsFile) {
+    throw new Error("The queue action needs a jobs file (--jobsFile or jobsFile in the config).");
+  }
+  let specs;
+  try {
+    const content = readConfigFile(config.jobsFile);
+    specs = Array.isArray(content) ? content : content.jobs;
+  } catch (error) {
+    throw new Error(`Failed to read jobs file ${config.jobsFile}: ${error.message}`, { cause: error });
+  }
+  if (!Array.isArray(specs) || specs.length === 0) {
+    throw new Error(`Jobs file ${config.jobsFile} has no jobs.`);
+  }
+  return buildJobs(specs, config);
+}
+
+/**
+ * podRequirementsKey(config)
+ *
+ * Returns a key that is equal for configs that can run on the same pod.
+ */
+function podRequirementsKey(config) {
+  return JSON.stringify([
+    config.instanceImage, config.gpuCount, config.minMemoryRequired, config.minBidPriceLimit, config.maxBidPriceLimit,
+    config.gpuStrategy, config.gpuAllowList, config.gpuDenyList, config.cloudMode, config.secureCloud,
+    config.networkVolumeId, config.networkVolumeName, config.dataCenterId, config.volumeMountPath,
+  ]);
+}
+
+/**
+ * setupKeys(config)
+ *
+ * Returns, for each reusable stage, a key of the inputs that stage depends on.
+ */
+function setupKeys(config) {
+  const recipe = RECIPES[config.recipe];
+  const models = [modelSpec(config.modelPath), ...(recipe.auxModels || []).map((key) => modelSpec(config.training[key]))];
+  return {
+    downloadModel: JSON.stringify([config.remoteModelsPath, models]),
+    cloneSdScripts: recipe.branch,
+    installPythonRequirements: JSON.stringify([recipe.branch, recipe.torch, Boolean(recipe.lycoris)]),
+  };
+}
+
+/**
+ * jobResult(job, status, journal, error)
+ *
+ * Summarizes a job for the queue summary. Duration and cost come from its journal.
+ */
+function jobResult(job, status, journal, error) {
+  const finishedAt = journal && journal.updatedAt ? new Date(journal.updatedAt) : new Date();
+  return {
+    name: job.name,
+    status,
+    durationSeconds: journal ? Math.max(0, finishedAt - new Date(journal.startedAt)) / 1000 : 0,
+    costUsd: journal ? estimateRunCost(journal, finishedAt) : 0,
+    outputDir: job.config.localOutputDir,
+    error: error ? error.message : null,
+  };
+}
+
+/**
+ * releasePod(provider, podId, config)
+ *
+ * Stops or terminates a queue pod, reporting instead of throwing on failure.
+ */
+async function releasePod(provider, podId, config) {
+  try {
+    await provider.stop(podId, config);
+  } catch (error) {
+    log.error(`⚠️  Could not ${config.teardownMode} pod ${podId}: ${error.message}`);
+  }
+  activeRun().podId = null;
+}
+
+/**
+ * runQueueWorker(provider, nextJob, reportResult, config)
+ *
+ * Runs jobs from nextJob() until it returns null, reusing the pod between
+ * jobs whose pod requirements match. Jobs that already completed are
+ * skipped; a failed job's pod is torn down and the next job starts on a new one.
+ */
+async function runQueueWorker(provider, nextJob, reportResult, config) {
+  let pod = null;
+  for (let job = await nextJob(); job && !activeRun().tearingDown; job = await nextJob()) {
+    activeRun().job = job.name;
+    const jobConfig = job.config;
+    const previous = loadJournal(jobConfig.journalPath);
+    // Queue jobs leave the pod running, so a job is done once the last pipeline step is.
+    if (previous && previous.completedStages.includes(Object.keys(PIPELINE_STEPS).at(-1))) {
+      log.info(`⏭️  Job ${job.name} already completed, skipping.`);
+      await reportResult(jobResult(job, "skipped", previous));
+      continue;
+    }
+    if (pod && pod.key !== podRequirementsKey(jobConfig)) {
+      await releasePod(provider, pod.podId, config);
+      pod = null;
+    }
+
+    const journal = createJournal();
+    if (pod) {
+      const keys = setupKeys(jobConfig);
+      journal.podId = pod.podId;
+      journal.bidPerGpu = pod.bidPerGpu;
+      journal.networkVolume = pod.networkVolume;
+      journal.ssh = pod.ssh;
+      // The job pays for the pod from here on.
+      journal.gpu = { ...pod.gpu, deployedAt: new Date().toISOString() };
+      journal.completedStages = ["deploy", ...REUSABLE_STAGES.filter((stage) => pod.setup[stage] === keys[stage])];
+    }
+    saveJournal(journal, jobConfig);
+    log.info(`\n📋 Job ${job.name}${pod ? ` on pod ${pod.podId}` : ""}`);
+    try {
+      if (pod && !printValidationReport(validateDataset(jobConfig), jobConfig)) {
+        throw new Error("Dataset validation failed.");
+      }
+      await runStagesWithRetries(provider, journal, jobConfig);
+      pod = {
+        key: podRequirementsKey(jobConfig),
+        podId: journal.podId,
+        gpu: journal.gpu,
+        bidPerGpu: journal.bidPerGpu,
+        networkVolume: journal.networkVolume,
+        ssh: journal.ssh,
+        setup: setupKeys(jobConfig),
+      };
+      log.info(`✅ Job ${job.name} complete.`);
+      await notifyRunEnd(journal, jobConfig);
+      await reportResult(jobResult(job, "completed", journal));
+    } catch (error) {
+      log.error(`❌ Job ${job.name} failed: ${error.message}`);
+      saveJournal(journal, jobConfig);
+      await notifyRunEnd(journal, jobConfig, error);
+      await reportResult(jobResult(job, "failed", journal, error));
+      // The pod may be in any state after a failure, so the next job starts on a new one.
+      if (journal.podId && !activeRun().tearingDown) {
+        await releasePod(provider, journal.podId, config);
+      }
+      pod = null;
+    }
+  }
+  if (pod) {
+    await releasePod(provider, pod.podId, config);
+  }
+}
+
+/**
+ * formatTable(header, rows)
+ *
+ * Returns the lines of a plain-text table with padded columns.
+ */
+function formatTable(header, rows) {
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map((row) => row[column].length)));
+  const format = (row) => row.map((cell, column) => cell.padEnd(widths[column])).join("  ").trimEnd();
+  return [format(header), ...rows.map(format)];
+}
+
+/**
+ * printQueueSummary(results, config)
+ *
+ * Prints a table of the jobs' status, duration, cost and output directory and
+ * writes it to localOutputDir/queue_summary.json.
+ */
+function printQueueSummary(results, config) {
+  const rows = results.map((result) => [
+    result.name,
+    result.status,
+    formatDuration(result.durationSeconds),
+    `$${result.costUsd.toFixed(2)}`,
+    result.outputDir,
+  ]);
+  log.info(`\n${formatTable(["Job", "Status", "Duration", "Cost", "Output"], rows).join("\n")}`);
+  const total = results.reduce((sum, result) => sum + result.costUsd, 0);
+  log.info(`\n${results.filter((result) => result.status !== "failed").length}/${results.length} jobs succeeded, $${total.toFixed(2)} in total.`);
+  results.filter((result) => result.error).forEach((result) => log.info(`  ${result.name}: ${result.error}`));
+  const summaryPath = path.join(config.localOutputDir, "queue_summary.json");
+  fs.outputJsonSync(summaryPath, results, { spaces: 2 });
+  log.info(`📝 Summary written to ${summaryPath}`);
+}
+
+/**
+ * runQueue(provider, jobs, config)
+ *
+ * Runs the jobs on up to parallelPods pods and prints the summary. Returns
+ * the job results in job order.
+ */
+async function runQueue(provider, jobs, config) {
+  const results = [];
+  const reportResult = (result) => {
+    results.push(result);
+  };
+  const parallelPods = Math.max(1, Math.min(config.parallelPods, jobs.length));
+  log.info(`📋 Running ${jobs.length} job(s) on ${parallelPods} pod(s)...`);
+  let next = 0;
+  const nextJob = async () => jobs[next++] || null;
+  if (parallelPods === 1) {
+    await runQueueWorker(provider, nextJob, reportResult, config);
+  } else {
+    const run = activeRun();
+    run.workers = Array.from({ length: parallelPods }, (_, index) => ({ ...createRunState(run.trainer, `pod ${index + 1}`), provider }));
+    await Promise.all(run.workers.map((worker) => runContext.run(worker, () => runQueueWorker(provider, nextJob, reportResult, config))));
+    run.workers = [];
+  }
+  const order = jobs.map((job) => job.name);
+  results.sort((a, b) => order.indexOf(a.name) - order.indexOf(b.name));
+  printQueueSummary(results, config);
+  return results;
+}
+
+// ---------------------------------------------------------------------
+// Hyperparameter Sweeps
+// ---------------------------------------------------------------------
+// Expands config.sweep into one queue job per combination and compares the
+// results once they are done.
+
+// Short labels for job names.
+const SWEEP_LABELS = {
+  learningRate: "lr",
+  unetLr: "unetlr",
+  textEncoderLr: "telr",
+  networkDim: "dim",
+  networkAlpha: "alpha",
+  epochs: "ep",
+  optimizer: "opt",
+  lrScheduler: "sched",
+  batchSize: "bs",
+  resolution: "res",
+};
+
+/**
+ * sweepValues(name, spec)
+ *
+ * Returns the values of one sweep parameter: the list as given, or the points
+ * of a { from, to, steps, scale } grid.
+ */
+function sweepValues(name, spec) {
+  if (Array.isArray(spec)) {
+    if (spec.length === 0) {
+      throw new Error(`sweep.${name} has no values.`);
+    }
+    return spec;
+  }
+  if (spec && typeof spec.from === "number" && typeof spec.to === "number" && spec.steps >= 2) {
+    const logScale = spec.scale === "log";
+    const [from, to] = logScale ? [Math.log10(spec.from), Math.log10(spec.to)] : [spec.from, spec.to];
+    return Array.from({ length: spec.steps }, (_, index) => {
+      const value = from + ((to - from) * index) / (spec.steps - 1);
+      return Number((logScale ? 10 ** value : value).toPrecision(6));
+    });
+  }
+  throw new Error(`sweep.${name} must be a list of values or { "from", "to", "steps" (2 or more), "scale" }.`);
+}
+
+/**
+ * sweepLabel(values)
+ *
+ * Returns the job name part for a combination's values, e.g. "lr1e-4_dim16_alpha8".
+ */
+function sweepLabel(values) {
+  return Object.entries(values).map(([key, value]) => {
+    const text = typeof value === "number" && value !== 0 && Math.abs(value) < 0.01
+      ? value.toExponential().replace(/\.?0*e/, "e").replace("e+", "e")
+      : String(value);
+    return `${SWEEP_LABELS[key] || key}${text}`;
+  }).join("_");
+}
+
+/**
+ * sweepJobs(config)
+ *
+ * Returns one queue job per combination of the sweep parameters, named after
+ * its values, with a distinct training.outputName. Each job's sweepValues
+ * holds the combination.
+ */
+function sweepJobs(config) {
+  if (!config.sweep || Object.keys(config.sweep).length === 0) {
+    throw new Error(`The sweep action needs a "sweep" section in the config listing the training parameters to try.`);
+  }
+  const parameters = Object.entries(config.sweep).map(([name, spec]) => sweepValues(name, spec).map((value) => {
+    const values = value && typeof value === "object" ? value : { [name]: value };
+    Object.keys(values).forEach((key) => {
+      if (!(key in defaultConfig.training)) {
+        throw new Error(`sweep.${name} sets unknown training parameter "${key}".`);
+      }
+    });
+    return values;
+  }));
+  const combinations = parameters.reduce(
+    (partial, values) => partial.flatMap((combination) => values.map((value) => ({ ...combination, ...value }))),
+    [{}]
+  );
+  const specs = combinations.map((values) => {
+    const name = sweepLabel(values);
+    return { name, training: { ...values, outputName: `${config.training.outputName}_${name}` } };
+  });
+  log.info(`🧪 Sweep of ${specs.length} combination(s).`);
+  const jobs = buildJobs(specs, config);
+  jobs.forEach((job, index) => {
+    job.sweepValues = combinations[index];
+  });
+  return jobs;
+}
+
+/**
+ * latestSamples(outputDir)
+ *
+ * Returns the paths of the sample images of the last sampled epoch in an output directory.
+ */
+function latestSamples(outputDir) {
+  const sampleDir = path.join(outputDir, "sample");
+  if (!fs.existsSync(sampleDir)) {
+    return [];
+  }
+  const samples = fs.readdirSync(sampleDir)
+    .map((file) => ({ file, match: file.match(SAMPLE_IMAGE_NAME) }))
+    .filter(({ match }) => match);
+  const lastEpoch = Math.max(...samples.map(({ match }) => Number(match[1])));
+  return samples
+    .filter(({ match }) => Number(match[1]) === lastEpoch)
+    .map(({ file }) => path.join(sampleDir, file))
+    .sort();
+}
+
+/**
+ * writeSweepComparison(jobs, results, config)
+ *
+ * Prints the sweep's runs ranked by final loss, with their parameters,
+ * duration, cost and report, and writes the same as sweep_summary.json and
+ * sweep_report.html (with the last epoch's samples) to localOutputDir.
+ */
+function writeSweepComparison(jobs, results, config) {
+  const runs = jobs.map((job) => {
+    const result = results.find((candidate) => candidate.name === job.name);
+    const steps = readMetrics(job.config);
+    const reportPath = path.join(job.config.localOutputDir, "report.html");
+    return {
+      ...result,
+      parameters: job.sweepValues,
+      finalLoss: steps.length > 0 ? steps[steps.length - 1].avgLoss : null,
+      report: fs.existsSync(reportPath) ? reportPath : null,
+      samples: latestSamples(job.config.localOutputDir),
+    };
+  });
+  runs.sort((a, b) => (a.finalLoss === null) - (b.finalLoss === null) || a.finalLoss - b.finalLoss);
+  const parameterNames = Object.keys(runs[0].parameters);
+
+  const rows = runs.map((run, index) => [
+    String(index + 1),
+    ...parameterNames.map((name) => String(run.parameters[name])),
+    run.finalLoss === null ? "-" : run.finalLoss.toFixed(4),
+    run.status,
+    formatDuration(run.durationSeconds),
+    `$${run.costUsd.toFixed(2)}`,
+    run.report || run.outputDir,
+  ]);
+  const header = ["#", ...parameterNames, "Final loss", "Status", "Duration", "Cost", "Report"];
+  log.info(`\n🧪 Sweep results, lowest final loss first:\n${formatTable(header, rows).join("\n")}`);
+  fs.outputJsonSync(path.join(config.localOutputDir, "sweep_summary.json"), runs, { spaces: 2 });
+
+  const link = (target) => escapeHtml(path.relative(config.localOutputDir, target).split(path.sep).join("/"));
+  const html = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(config.training.outputName)} sweep</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2em; color: #1f2937; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #d1d5db; padding: 4px 8px; vertical-align: top; }
+  img { width: 128px; margin-right: 4px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(config.training.outputName)} sweep</h1>
+<table>
+  <tr>${header.slice(0, -1).map((title) => `<th>${escapeHtml(title)}</th>`).join("")}<th>Samples</th></tr>
+${runs.map((run, index) => `  <tr>${rows[index].slice(0, -1).map((cell) => `<td>${escapeHtml(cell)}</td>`).join("")}<td>${
+    run.samples.map((sample) => `<a href="${link(sample)}"><img src="${link(sample)}" loading="lazy"></a>`).join("")
+  }${run.report ? `<br><a href="${link(run.report)}">report</a>` : ""}</td></tr>`).join("\n")}
+</table>
+</body>
+</html>
+`;
+  const reportPath = path.join(config.localOutputDir, "sweep_report.html");
+  fs.outputFileSync(reportPath, html);
+  log.info(`📊 Sweep report written to ${reportPath}`);
+}
+
+// ---------------------------------------------------------------------
+// Trainer
+// ---------------------------------------------------------------------
+// The pipeline as a library. A Trainer runs, resumes, attaches to and stops
+// the run of one configuration (see loadConfig), stage by stage if needed,
+// and emits
+//   "stage"    { stage, status, job, error? } as stages start, complete, are skipped, retried or fail
+//   "log"      { time, level, message, job, stage } for every message logLevel shows
+//   "progress" { stage, line, job, ... } while uploading and training
+// Without "log" or "progress" listeners, messages and progress go to the console.
+// Runs and single stages also write their log to localOutputDir/logs.
+// Failures are thrown as errors, see the error classes above.
+
+class Trainer extends EventEmitter {
+  /**
+   * new Trainer(config)
+   *
+   * config is a configuration returned by loadConfig. The trainer keeps a
+   * copy, so the caller's object is never changed.
+   */
+  constructor(config) {
+    super();
+    this.config = mergeConfig(config, {});
+    this.journal = null;
+    this.state = createRunState(this);
+    this.running = false;
+    this.logFile = null;
+  }
+
+  /**
+   * within(fn)
+   *
+   * Calls fn with this trainer's run state active, so logs, events and teardown reach it.
+   */
+  within(fn) {
+    return runContext.run(this.state, fn);
+  }
+
+  /**
+   * begin(fn)
+   *
+   * Starts a run, single stage, queue or sweep with a fresh run state and
+   * calls fn within it. One trainer runs one of those at a time.
+   */
+  async begin(fn) {
+    if (this.running) {
+      throw new Error("This trainer is already running. Wait for it or stop() it first.");
+    }
+    this.running = true;
+    this.state = createRunState(this);
+    this.openLogFile();
+    try {
+      return await this.within(fn);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * openLogFile()
+   *
+   * Starts a new run log in localOutputDir/logs, named after the time, unless logFile is false.
+   */
+  openLogFile() {
+    this.logFile = null;
+    if (!this.config.logFile) {
+      return;
+    }
+    const logFile = path.join(this.config.localOutputDir, "logs", `${new Date().toISOString().replace(/[:.]/g, "-")}.log`);
+    fs.ensureDirSync(path.dirname(logFile));
+    this.logFile = logFile;
+    this.within(() => log.debug(`Run log: ${logFile}`));
+  }
+
+  /**
+   * machineProvider()
+   *
+   * Returns the provider of the active run, creating it on first use.
+   */
+  machineProvider() {
+    if (!activeRun().provider) {
+      activeRun().provider = createProvider(this.config);
+    }
+    return activeRun().provider;
+  }
+
+  /**
+   * run()
+   *
+   * Starts a new run and carries it through every stage, from deploy to
+   * stopPod. Resolves with the run's journal.
+   */
+  run() {
+    return this.begin(() => {
+      this.journal = createJournal();
+      saveJournal(this.journal, this.config);
+      return this.finishRun();
+    });
+  }
+
+  /**
+   * resume()
+   *
+   * Continues the run recorded in the journal at config.journalPath.
+   */
+  resume() {
+    return this.begin(() => this.continueRun(loadJournal(this.config.journalPath)));
+  }
+
+  /**
+   * attach()
+   *
+   * Follows the training on config.podId (the journal's pod by default) and
+   * finishes its run.
+   */
+  attach() {
+    return this.begin(() => this.continueRun(journalForAttach(this.config)));
+  }
+
+  /**
+   * continueRun(journal)
+   *
+   * Makes sure the journal's machine is running and finishes its run.
+   */
+  async continueRun(journal) {
+    if (!journal || !journal.podId) {
+      throw new Error(`No resumable run found in ${this.config.journalPath}.`);
+    }
+    this.journal = journal;
+    if (journal.completedStages.includes("stopPod")) {
+      log.info(`✅ The run in ${this.config.journalPath} already completed. Nothing to resume.`);
+      return journal;
+    }
+    await this.machineProvider().reattach(journal, this.config);
+    activeRun().podId = journal.podId;
+    return this.finishRun();
+  }
+
+  /**
+   * finishRun()
+   *
+   * Runs the stages the journal does not list as completed, then stops or
+   * terminates the machine.
+   */
+  async finishRun() {
+    const provider = this.machineProvider();
+    try {
+      await runStagesWithRetries(provider, this.journal, this.config);
+
+      // 12. Stop or terminate the pod.
+      await stopMachine(provider, this.journal, this.config);
+    } catch (error) {
+      await notifyRunEnd(this.journal, this.config, error);
+      throw error;
+    }
+    log.info("✅ Process complete!");
+    await notifyRunEnd(this.journal, this.config);
+    return this.journal;
+  }
+
+  /**
+   * stop(reason)
+   *
+   * Stops the run in progress: closes its SSH connection and stops or
+   * terminates its pods, after which the run rejects with a RunStoppedError.
+   * Waits for a guardrail that is already saving the output and shutting down,
+   * and sends the failed notification of each run that was stopped.
+   */
+  stop(reason = "Stopped") {
+    return this.within(async () => {
+      if (activeRun().limitShutdown) {
+        await activeRun().limitShutdown;
+      }
+      await teardownActiveRun(reason, this.config);
+      await Promise.all([activeRun(), ...activeRun().workers]
+        .filter((state) => state.journal)
+        .map((state) => runContext.run(state, () => notifyRunEnd(state.journal, state.config, new RunStoppedError(reason)))));
+    });
+  }
+
+  /**
+   * notifyTest()
+   *
+   * Sends a test message to every configured webhook. Resolves with true if
+   * all of them accepted it.
+   */
+  notifyTest() {
+    return this.within(() => testNotifications(this.config));
+  }
+
+  /**
+   * runStep(stage)
+   *
+   * Runs a single stage of this trainer's run (a new run for deploy, else the
+   * one in progress or recorded at config.journalPath), connecting to its
+   * machine first if needed and disconnecting afterwards. Resolves with the
+   * run's journal.
+   */
+  runStep(stage) {
+    return this.begin(async () => {
+      try {
+        return await this.runStepWithin(stage);
+      } finally {
+        if (activeRun().ssh) {
+          activeRun().ssh.end();
+          activeRun().ssh = null;
+        }
+      }
+    });
+  }
+
+  /**
+   * runStepWithin(stage)
+   *
+   * The body of runStep, run with this trainer's run state active.
+   */
+  async runStepWithin(stage) {
+    const provider = this.machineProvider();
+    if (stage === "deploy") {
+      if (!this.journal || this.journal.completedStages.includes("stopPod")) {
+        this.journal = createJournal();
+        saveJournal(this.journal, this.config);
+      }
+      await deployMachine(provider, this.journal, this.config);
+      return this.journal;
+    }
+    this.journal = this.journal || loadJournal(this.config.journalPath);
+    if (!this.journal || !this.journal.podId) {
+      throw new Error(`No machine deployed for ${this.config.journalPath}. Run the deploy stage first.`);
+    }
+    if (stage === "stopPod") {
+      await stopMachine(provider, this.journal, this.config);
+      return this.journal;
+    }
+    if (!activeRun().ssh) {
+      await connectMachine(provider, this.journal, this.config);
+    }
+    await runStage(stage, () => PIPELINE_STEPS[stage](provider, this.journal, this.config), this.journal, this.config);
+    if (stage === "downloadOutput") {
+      log.info(`📊 Training report written to ${writeTrainingReport(this.journal, this.config)}`);
+    }
+    return this.journal;
+  }
+
+  // One method per stage, see runStep.
+  deploy() {
+    return this.runStep("deploy");
+  }
+
+  uploadDataset() {
+    return this.runStep("uploadDataset");
+  }
+
+  downloadModel() {
+    return this.runStep("downloadModel");
+  }
+
+  cloneSdScripts() {
+    return this.runStep("cloneSdScripts");
+  }
+
+  installPythonRequirements() {
+    return this.runStep("installPythonRequirements");
+  }
+
+  launchTraining() {
+    return this.runStep("launchTraining");
+  }
+
+  downloadOutput() {
+    return this.runStep("downloadOutput");
+  }
+
+  processOutput() {
+    return this.runStep("processOutput");
+  }
+
+  publishOutput() {
+    return this.runStep("publishOutput");
+  }
+
+  stopPod() {
+    return this.runStep("stopPod");
+  }
+
+  /**
+   * validate()
+   *
+   * Checks the dataset and reports the result. Resolves with the validation
+   * report, whose ok is true if the dataset can be trained on.
+   */
+  validate() {
+    return this.within(async () => {
+      const report = validateDataset(this.config);
+      return { ...report, ok: printValidationReport(report, this.config) };
+    });
+  }
+
+  /**
+   * plan(jobs)
+   *
+   * Shows what a run would do without deploying anything, or, given queue or
+   * sweep jobs (see loadJobs and sweepJobs), what each of them would do.
+   */
+  plan(jobs = null) {
+    return this.within(async () => {
+      if (!jobs) {
+        await printPlan(this.machineProvider(), this.config);
+        return;
+      }
+      for (const job of jobs) {
+        log.info(`\n📋 Job ${job.name}`);
+        await printPlan(this.machineProvider(), job.config);
+      }
+    });
+  }
+
+  /**
+   * gpus()
+   *
+   * Lists the machines a run would choose from, best first.
+   */
+  gpus() {
+    return this.within(() => this.machineProvider().printMachines(this.config));
+  }
+
+  /**
+   * cleanup(confirm)
+   *
+   * Terminates the pods left behind by earlier runs once confirm(pods)
+   * resolves to true, or without asking with config.yes.
+   */
+  cleanup(confirm) {
+    return this.within(() => this.machineProvider().cleanup(this.config, confirm));
+  }
+
+  /**
+   * logs()
+   *
+   * Logs the training output of config.podId (the journal's pod by default),
+   * following it while the training runs.
+   */
+  logs() {
+    return this.within(() => printTrainingLogs(this.machineProvider(), this.config));
+  }
+
+  /**
+   * status()
+   *
+   * Shows the state of config.podId (the journal's pod by default) and its training.
+   */
+  status() {
+    return this.within(() => printTrainingStatus(this.machineProvider(), this.config));
+  }
+
+  /**
+   * queue(jobs)
+   *
+   * Runs the jobs (by default those of config.jobsFile) and resolves with
+   * their results in job order.
+   */
+  queue(jobs = null) {
+    return this.begin(() => runQueue(this.machineProvider(), jobs || loadJobs(this.config), this.config));
+  }
+
+  /**
+   * sweep()
+   *
+   * Trains every combination of config.sweep, writes the comparison report
+   * and resolves with the results.
+   */
+  sweep() {
+    return this.begin(async () => {
+      const jobs = sweepJobs(this.config);
+      const results = await runQueue(this.machineProvider(), jobs, this.config);
+      writeSweepComparison(jobs, results, this.config);
+      return results;
+    });
+  }
+}
+
+export {
+  Trainer,
+  loadConfig,
+  loadJobs,
+  sweepJobs,
+  redactConfig,
+  defaultConfig,
+  DEFAULT_CONFIG_FILES,
+  RECIPES,
+  LOG_LEVELS,
+  ConfigError,
+  DatasetValidationError,
+  StageError,
+  LimitReachedError,
+  RunStoppedError,
+  PodPreemptedError,
+  RemoteCommandError,
+  HostKeyMismatchError,
+};